@@ -4,6 +4,18 @@
 // Depends on: nothing
 
 const AST = {
+    // Attach a source span running from the start token to the end token.
+    // The parser calls this for every node it builds.
+    withSpan(node, start, end = start) {
+        node.span = {
+            line: start.line,
+            col: start.col,
+            endLine: end.endLine ?? end.line,
+            endCol: end.endCol ?? end.col
+        };
+        return node;
+    },
+
     Program(statements) {
         return { type: "Program", statements };
     },
@@ -16,8 +28,9 @@ const AST = {
         return { type: "Constant", name, dataType, value };
     },
 
-    Assignment(name, expr, indices = null) {
-        return { type: "Assignment", name, expr, indices };
+    // target: Identifier, ArrayAccess or FieldAccess (see below)
+    Assignment(target, expr) {
+        return { type: "Assignment", target, expr };
     },
 
     // Output now supports a list of expressions (for comma-separated OUTPUT)
@@ -25,8 +38,8 @@ const AST = {
         return { type: "Output", exprs };
     },
 
-    Input(name, indices = null) {
-        return { type: "Input", name, indices };
+    Input(target) {
+        return { type: "Input", target };
     },
 
     If(condition, thenBlock, elseBlock) {
@@ -49,6 +62,15 @@ const AST = {
         return { type: "Case", expr, branches, otherwiseBranch };
     },
 
+    // CASE labels besides plain values: "low TO high" and e.g. ">= 90"
+    CaseRange(low, high) {
+        return { type: "CaseRange", low, high };
+    },
+
+    CaseGuard(op, value) {
+        return { type: "CaseGuard", op, value }; // op: "LT", "GE", ...
+    },
+
     Procedure(name, params, body) {
         return { type: "Procedure", name, params, body };
     },
@@ -61,6 +83,23 @@ const AST = {
         return { type: "Call", name, args };
     },
 
+    // CLASS Cat INHERITS Pet ... ENDCLASS. parent is null without INHERITS.
+    // attributes: [{ name, type, dimensions, access }]
+    // methods: Procedure and Function nodes, each with an `access` property
+    Class(name, parent, attributes, methods) {
+        return { type: "Class", name, parent, attributes, methods };
+    },
+
+    // MyCat.GetName() and SUPER.NEW(GivenName), as statements or in expressions
+    MethodCall(object, method, args) {
+        return { type: "MethodCall", object, method, args };
+    },
+
+    // NEW Cat("Tom"): create an object and run its constructor
+    New(className, args) {
+        return { type: "New", className, args };
+    },
+
     Return(expr) {
         return { type: "Return", expr };
     },
@@ -73,8 +112,10 @@ const AST = {
         return { type: "Unary", op, operand };
     },
 
-    ArrayAccess(name, indices) {
-        return { type: "ArrayAccess", name, indices };
+    // Accesses chain from a variable: Class.Pupils[3].Age is
+    // FieldAccess(ArrayAccess(FieldAccess(Identifier(Class), Pupils), [3]), Age)
+    ArrayAccess(base, indices) {
+        return { type: "ArrayAccess", base, indices };
     },
 
     Identifier(name) {
@@ -93,26 +134,76 @@ const AST = {
         return { type: "StringLiteral", value };
     },
 
+    // A single character in single quotes: 'A'
+    CharLiteral(value) {
+        return { type: "CharLiteral", value };
+    },
+
     BooleanLiteral(value) {
         return { type: "BooleanLiteral", value };
     },
 
+    // value is the date as written, normalised to dd/mm/yyyy
+    DateLiteral(value) {
+        return { type: "DateLiteral", value };
+    },
+
+    // NULL: a pointer that points nowhere
+    NullLiteral() {
+        return { type: "NullLiteral" };
+    },
+
+    // ["A", "E"] in an expression, or the list in a DEFINE
+    SetLiteral(elements) {
+        return { type: "SetLiteral", elements };
+    },
+
     // User-defined record types
     TypeDef(name, fields) {
-        return { type: "TypeDef", name, fields }; // fields: [{ name, type }]
+        return { type: "TypeDef", name, fields }; // fields: [{ name, type, dimensions }]
+    },
+
+    // Enumerated types: TYPE Season = (Spring, Summer, Autumn, Winter)
+    EnumDef(name, values) {
+        return { type: "EnumDef", name, values }; // values: names in order
+    },
+
+    // Pointer types: TYPE TIntPointer = ^INTEGER
+    PointerDef(name, target) {
+        return { type: "PointerDef", name, target };
     },
 
-    FieldAccess(name, field) {
-        return { type: "FieldAccess", name, field };
+    // Set types: TYPE LetterSet = SET OF CHAR
+    SetDef(name, baseType) {
+        return { type: "SetDef", name, baseType };
+    },
+
+    // DEFINE Vowels ("A", "E", "I", "O", "U") : LetterSet
+    Define(name, elements, dataType) {
+        return { type: "Define", name, elements, dataType }; // elements: SetLiteral
+    },
+
+    // @Var: a pointer to a variable, element or field
+    AddressOf(target) {
+        return { type: "AddressOf", target };
+    },
+
+    // Ptr^: the variable a pointer points to
+    Deref(base) {
+        return { type: "Deref", base };
+    },
+
+    FieldAccess(base, field) {
+        return { type: "FieldAccess", base, field };
     },
 
     // File handling
     OpenFile(filename, mode) {
-        return { type: "OpenFile", filename, mode }; // mode: "READ", "WRITE", "APPEND"
+        return { type: "OpenFile", filename, mode }; // mode: "READ", "WRITE", "APPEND", "RANDOM"
     },
 
-    ReadFile(filename, variable) {
-        return { type: "ReadFile", filename, variable };
+    ReadFile(filename, target) {
+        return { type: "ReadFile", filename, target };
     },
 
     WriteFile(filename, expr) {
@@ -121,5 +212,19 @@ const AST = {
 
     CloseFile(filename) {
         return { type: "CloseFile", filename };
+    },
+
+    // RANDOM files: move to a record address, then read or write the
+    // record there
+    Seek(filename, address) {
+        return { type: "Seek", filename, address };
+    },
+
+    GetRecord(filename, target) {
+        return { type: "GetRecord", filename, target };
+    },
+
+    PutRecord(filename, source) {
+        return { type: "PutRecord", filename, source };
     }
 };
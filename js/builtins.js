@@ -0,0 +1,58 @@
+// ============================================================
+// BUILT-IN FUNCTIONS
+// ============================================================
+// Depends on: nothing
+//
+// The CIE 9618 built-in functions, shared by the semantic analyser
+// (argument and result types), the IR generator (which calls are
+// built-in), the runtime (result types) and the editor (highlighting).
+// The runtime implements them in Runtime.executeBuiltin.
+//
+//   params         declared type of each parameter. As in assignment, an
+//                  INTEGER is accepted for a REAL and a CHAR for a STRING.
+//                  A STRING is accepted for a CHAR too, e.g. ASC(MID(S, I, 1));
+//                  the runtime checks it holds exactly one character.
+//   returns        result type
+//   keepsCharType  a CHAR argument gives a CHAR result, e.g. TO_UPPER('a')
+
+const BUILTINS = new Map([
+    // --- String functions ---
+    ["LEFT",        { params: ["STRING", "INTEGER"], returns: "STRING" }],
+    ["RIGHT",       { params: ["STRING", "INTEGER"], returns: "STRING" }],
+    ["MID",         { params: ["STRING", "INTEGER", "INTEGER"], returns: "STRING" }],
+    ["LENGTH",      { params: ["STRING"], returns: "INTEGER" }],
+    ["TO_UPPER",    { params: ["STRING"], returns: "STRING", keepsCharType: true }],
+    ["TO_LOWER",    { params: ["STRING"], returns: "STRING", keepsCharType: true }],
+    ["UCASE",       { params: ["CHAR"], returns: "CHAR" }],
+    ["LCASE",       { params: ["CHAR"], returns: "CHAR" }],
+    ["NUM_TO_STR",  { params: ["REAL"], returns: "STRING" }],
+    ["STR_TO_NUM",  { params: ["STRING"], returns: "REAL" }],
+    ["IS_NUM",      { params: ["STRING"], returns: "BOOLEAN" }],
+    ["ASC",         { params: ["CHAR"], returns: "INTEGER" }],
+    ["CHR",         { params: ["INTEGER"], returns: "CHAR" }],
+
+    // --- Numeric functions ---
+    ["INT",         { params: ["REAL"], returns: "INTEGER" }],
+    ["RAND",        { params: ["INTEGER"], returns: "REAL" }],
+    ["ROUND",       { params: ["REAL", "INTEGER"], returns: "REAL" }],
+    ["DIV",         { params: ["INTEGER", "INTEGER"], returns: "INTEGER" }],
+    ["MOD",         { params: ["INTEGER", "INTEGER"], returns: "INTEGER" }],
+
+    // --- Date functions ---
+    ["DAY",         { params: ["DATE"], returns: "INTEGER" }],
+    ["MONTH",       { params: ["DATE"], returns: "INTEGER" }],
+    ["YEAR",        { params: ["DATE"], returns: "INTEGER" }],
+    ["DAYINDEX",    { params: ["DATE"], returns: "INTEGER" }],
+    ["SETDATE",     { params: ["INTEGER", "INTEGER", "INTEGER"], returns: "DATE" }],
+    ["NOW",         { params: [], returns: "DATE" }],
+
+    // --- File functions ---
+    ["EOF",         { params: ["STRING"], returns: "BOOLEAN" }],
+]);
+
+// Result type of a call, given the types of its arguments
+function builtinResultType(name, argTypes) {
+    const builtin = BUILTINS.get(name);
+    if (builtin.keepsCharType && argTypes[0] === "CHAR") return "CHAR";
+    return builtin.returns;
+}
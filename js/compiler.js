@@ -25,15 +25,40 @@ class CompilerContext {
 }
 
 
+// ============================================================
+// COMPILE ERROR
+// ============================================================
+// Thrown by run() and debug() when the source has error diagnostics.
+
+class CompileError extends Error {
+    constructor(diagnostics) {
+        const errors = diagnostics.filter(d => d.isError());
+        super(errors.map(d => d.toString()).join("\n"));
+        this.diagnostics = diagnostics;
+        this.line = errors.length > 0 ? errors[0].line : null;
+    }
+}
+
+
 // ============================================================
 // COMPILER PIPELINE
 // ============================================================
-// Depends on: lexer.js, parser.js, semantic.js, ir-generator.js, optimizer.js, runtime.js, debugger.js
+// Depends on: diagnostics.js, lexer.js, parser.js, semantic.js, ir-generator.js, optimizer.js, runtime.js, debugger.js
+//
+// compile() does not throw on bad source: every phase adds Diagnostic
+// objects to `diagnostics`, and `ir` is null if any of them is an error.
 
 class Compiler {
-    constructor({ optimize = true, debug = false } = {}) {
+    // strictEvaluation: evaluate both operands of AND / OR (no short-circuit)
+    // maxCallDepth: nested calls allowed before a stack overflow error
+    // clock: () => Date used by NOW(), to pin the date (default: the real clock)
+    constructor({ optimize = true, debug = false, strictEvaluation = false, maxCallDepth = 1000, clock = null } = {}) {
         this.optimizeEnabled = !!optimize;
+        this.strictEvaluation = !!strictEvaluation;
+        this.maxCallDepth = maxCallDepth;
+        this.clock = clock;
         this.ctx = new CompilerContext({ debug });
+        this.diagnostics = [];
     }
 
     // ---------------- LEXING ----------------
@@ -41,7 +66,8 @@ class Compiler {
         this.ctx.log("LEX: start");
         const lexer = new Lexer(source);
         const tokens = lexer.tokenize();
-        this.ctx.log(`LEX: produced ${tokens.length} tokens`);
+        this.diagnostics.push(...lexer.diagnostics);
+        this.ctx.log(`LEX: produced ${tokens.length} tokens, ${lexer.diagnostics.length} diagnostics`);
         return tokens;
     }
 
@@ -50,7 +76,8 @@ class Compiler {
         this.ctx.log("PARSE: start");
         const parser = new Parser(tokens);
         const ast = parser.parseProgram();
-        this.ctx.log("PARSE: AST built");
+        this.diagnostics.push(...parser.diagnostics);
+        this.ctx.log(`PARSE: AST built, ${parser.diagnostics.length} diagnostics`);
         return ast;
     }
 
@@ -58,35 +85,40 @@ class Compiler {
     analyze(ast) {
         this.ctx.log("SEMANTIC: start");
         const sema = new SemanticAnalyzer();
-        sema.analyze(ast);
-        this.ctx.log("SEMANTIC: ok");
+        const ok = sema.analyze(ast);
+        this.diagnostics.push(...sema.diagnostics);
+        this.ctx.log(`SEMANTIC: ${sema.diagnostics.length} diagnostics`);
+        return ok;
     }
 
     // ---------------- IR GEN ----------------
     generate(ast) {
         this.ctx.log("IR: generation start");
-        const irgen = new IRGenerator();
+        const irgen = new IRGenerator({ shortCircuit: !this.strictEvaluation });
         const ir = irgen.generate(ast);
         this.ctx.log(`IR: ${ir.length} instructions`);
-        return ir;
+        return { ir, spans: irgen.spans };
     }
 
     // ---------------- OPTIMIZE ----------------
-    optimise(ir) {
+    optimise(ir, spans = []) {
         if (!this.optimizeEnabled) {
             this.ctx.log("OPT: disabled");
-            return ir;
+            return { ir, spans };
         }
         this.ctx.log("OPT: start");
-        const opt = new Optimizer(ir).optimize();
+        const optimizer = new Optimizer(ir, spans);
+        const opt = optimizer.optimize();
         this.ctx.log(`OPT: ${ir.length} → ${opt.length} instructions`);
-        return opt;
+        return { ir: opt, spans: optimizer.spans };
     }
 
     // ---------------- EXECUTE ----------------
-    execute(ir) {
+    execute(ir, spans = []) {
         this.ctx.log("RUN: start");
-        const runtime = new Runtime(ir);
+        const runtime = new Runtime(ir, spans);
+        runtime.maxCallDepth = this.maxCallDepth;
+        if (this.clock) runtime.clock = this.clock;
         const result = runtime.run();
         this.ctx.log("RUN: finished");
         return result;
@@ -94,23 +126,43 @@ class Compiler {
 
     // ---------------- ONE-SHOT ----------------
     compile(source) {
+        this.diagnostics = [];
+
         const tokens = this.lex(source);
         const ast = this.parse(tokens);
+
+        // The parser recovers from syntax errors, so this checks whatever
+        // parsed cleanly and all problems are reported in one pass
         this.analyze(ast);
-        const ir = this.generate(ast);
-        const finalIR = this.optimise(ir);
-        return { tokens, ast, ir: finalIR };
+
+        const diagnostics = this.diagnostics.slice();
+        if (hasErrors(diagnostics)) {
+            return { tokens, ast, ir: null, spans: [], diagnostics };
+        }
+
+        const generated = this.generate(ast);
+        const { ir, spans } = this.optimise(generated.ir, generated.spans);
+        return { tokens, ast, ir, spans, diagnostics };
+    }
+
+    // Compile, throwing a CompileError if there are error diagnostics
+    compileOrThrow(source) {
+        const compiled = this.compile(source);
+        if (compiled.ir === null) {
+            throw new CompileError(compiled.diagnostics);
+        }
+        return compiled;
     }
 
     run(source) {
-        const { ir } = this.compile(source);
-        const result = this.execute(ir);
+        const { ir, spans } = this.compileOrThrow(source);
+        const result = this.execute(ir, spans);
         return { ir, result, logs: this.ctx.getLogs() };
     }
 
     debug(source) {
-        const { ir } = this.compile(source);
-        const dbg = new Debugger(ir);
+        const { ir, spans } = this.compileOrThrow(source);
+        const dbg = new Debugger(ir, spans);
         return { ir, debugger: dbg, logs: this.ctx.getLogs() };
     }
 }
@@ -120,20 +172,20 @@ class Compiler {
 // CONVENIENCE HELPERS
 // ============================================================
 
-function compileToIR(source, { optimize = true, debug = false } = {}) {
-    const compiler = new Compiler({ optimize, debug });
-    const { ir } = compiler.compile(source);
-    return { ir, logs: compiler.ctx.getLogs() };
+function compileToIR(source, { optimize = true, debug = false, strictEvaluation = false } = {}) {
+    const compiler = new Compiler({ optimize, debug, strictEvaluation });
+    const { ir, diagnostics } = compiler.compile(source);
+    return { ir, diagnostics, logs: compiler.ctx.getLogs() };
 }
 
-function runProgram(source, { optimize = true, debug = false } = {}) {
-    const compiler = new Compiler({ optimize, debug });
+function runProgram(source, { optimize = true, debug = false, strictEvaluation = false, maxCallDepth = 1000, clock = null } = {}) {
+    const compiler = new Compiler({ optimize, debug, strictEvaluation, maxCallDepth, clock });
     const { ir, result, logs } = compiler.run(source);
-    return { ir, vars: result.vars, output: result.output, logs };
+    return { ir, vars: result.vars, output: result.output, warnings: result.warnings, logs };
 }
 
-function debugProgram(source, { optimize = true, debug = false } = {}) {
-    const compiler = new Compiler({ optimize, debug });
+function debugProgram(source, { optimize = true, debug = false, strictEvaluation = false } = {}) {
+    const compiler = new Compiler({ optimize, debug, strictEvaluation });
     const { ir, debugger: dbg, logs } = compiler.debug(source);
     return { ir, debugger: dbg, logs };
 }
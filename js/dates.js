@@ -0,0 +1,75 @@
+// ============================================================
+// DATE VALUES
+// ============================================================
+// Depends on: nothing
+//
+// Values of the DATE type. Dates are written dd/mm/yyyy, in literals
+// (e.g. 25/12/2024), INPUT, files and OUTPUT. A DateValue is immutable,
+// so the runtime can share one between variables without copying it.
+
+class DateValue {
+    constructor(day, month, year) {
+        this.day = day;
+        this.month = month;
+        this.year = year;
+        Object.freeze(this);
+    }
+
+    // Is day/month/year a date on the calendar? Years run from 1 to 9999.
+    static isValid(day, month, year) {
+        if (![day, month, year].every(Number.isInteger)) return false;
+        if (year < 1 || year > 9999 || month < 1 || month > 12 || day < 1) return false;
+        return day <= DateValue.daysInMonth(month, year);
+    }
+
+    static daysInMonth(month, year) {
+        if (month === 2) {
+            const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+            return leap ? 29 : 28;
+        }
+        return [4, 6, 9, 11].includes(month) ? 30 : 31;
+    }
+
+    // "25/12/2024" or "5/1/2024" -> DateValue; null if the text is not
+    // a valid date in that form
+    static parse(text) {
+        const match = String(text).trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (!match) return null;
+
+        const [day, month, year] = match.slice(1).map(n => parseInt(n, 10));
+        return DateValue.isValid(day, month, year) ? new DateValue(day, month, year) : null;
+    }
+
+    // The calendar date of a JavaScript Date, in local time
+    static fromJSDate(date) {
+        return new DateValue(date.getDate(), date.getMonth() + 1, date.getFullYear());
+    }
+
+    // Midnight UTC on this date. The year is set separately because
+    // Date.UTC reads years 0 to 99 as 1900 to 1999.
+    toUTC() {
+        const date = new Date(Date.UTC(2000, this.month - 1, this.day));
+        date.setUTCFullYear(this.year);
+        return date;
+    }
+
+    // Days since 01/01/1970 (negative before it): later dates are larger
+    serial() {
+        return Math.round(this.toUTC().getTime() / 86400000);
+    }
+
+    // Day of the week: 1 for Sunday to 7 for Saturday (as DAYINDEX)
+    dayIndex() {
+        return this.toUTC().getUTCDay() + 1;
+    }
+
+    equals(other) {
+        return other instanceof DateValue && this.serial() === other.serial();
+    }
+
+    // "dd/mm/yyyy"
+    toString() {
+        const pad = (n, width) => String(n).padStart(width, "0");
+        return `${pad(this.day, 2)}/${pad(this.month, 2)}/${pad(this.year, 4)}`;
+    }
+}
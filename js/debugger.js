@@ -4,14 +4,16 @@
 // Depends on: runtime.js (Runtime)
 
 class Debugger {
-    constructor(instructions = []) {
+    constructor(instructions = [], spans = []) {
         this.instructions = instructions.slice();
+        this.spans = spans.slice();
         this.breakpoints = new Set();
         this.runtime = null;
     }
 
-    load(instructions) {
+    load(instructions, spans = []) {
         this.instructions = instructions.slice();
+        this.spans = spans.slice();
         this.breakpoints.clear();
         this.runtime = null;
     }
@@ -31,7 +33,7 @@ class Debugger {
     }
 
     start() {
-        this.runtime = new Runtime(this.instructions);
+        this.runtime = new Runtime(this.instructions, this.spans);
         return this.state();
     }
 
@@ -65,14 +67,18 @@ class Debugger {
     state() {
         const pc = this.runtime ? this.runtime.pc : 0;
         const instr = this.runtime ? (this.instructions[pc] ?? null) : null;
+        const line = this.runtime ? this.runtime.currentLine() : null;
         const vars = this.runtime ? { ...this.runtime.vars } : {};
         const output = this.runtime ? this.runtime.output.slice() : [];
+        const callStack = this.runtime ? this.runtime.stackTrace() : [];
 
         return {
             pc,
             instruction: instr,
+            line,
             vars,
             output,
+            callStack,
             breakpoints: Array.from(this.breakpoints),
             code: this.instructions.slice()
         };
@@ -0,0 +1,201 @@
+// ============================================================
+// DIAGNOSTICS
+// ============================================================
+// Depends on: nothing
+//
+// Shared model for everything the pipeline reports. Each diagnostic has:
+//   code      stable identifier, e.g. "S001" (see DiagnosticCode)
+//   severity  "error" | "warning" | "info"
+//   phase     "lex" | "parse" | "semantic" | "runtime"
+//   message   plain text, without any location prefix
+//   range     { line, col, endLine, endCol } or null
+//   hint      optional suggestion for fixing the problem
+//   trace     runtime errors only: the pseudocode calls active at the error,
+//             innermost first, as { routine, args, callLine } (see Runtime.stackTrace)
+
+const Severity = {
+    ERROR: "error",
+    WARNING: "warning",
+    INFO: "info"
+};
+
+const Phase = {
+    LEX: "lex",
+    PARSE: "parse",
+    SEMANTIC: "semantic",
+    RUNTIME: "runtime"
+};
+
+const DiagnosticCode = {
+    // Lexer
+    UNKNOWN_CHARACTER: "L001",
+    UNTERMINATED_STRING: "L002",
+    INVALID_DATE: "L003",
+    INVALID_CHAR: "L004",
+
+    // Parser
+    UNEXPECTED_TOKEN: "P001",
+    EXPECTED_TOKEN: "P002",
+    INVALID_TYPE: "P003",
+    INVALID_CONSTANT: "P004",
+    INVALID_FILE_MODE: "P005",
+
+    // Semantic analysis
+    SEMANTIC_ERROR: "S000",
+    UNDECLARED: "S001",
+    ALREADY_DECLARED: "S002",
+    UNASSIGNED: "S003",
+    TYPE_MISMATCH: "S004",
+    CONSTANT_REASSIGNED: "S005",
+    UNKNOWN_TYPE: "S006",
+    NOT_AN_ARRAY: "S007",
+    INDEX_COUNT: "S008",
+    NOT_A_RECORD: "S009",
+    UNKNOWN_FIELD: "S010",
+    ARGUMENT_COUNT: "S011",
+    CONDITION_NOT_BOOLEAN: "S012",
+    INVALID_LOOP: "S013",
+    INVALID_OPERAND: "S014",
+    INVALID_RANGE: "S015",
+    NOT_CONSTANT: "S016",
+    RECURSIVE_TYPE: "S017",
+    NOT_A_POINTER: "S018",
+    INVALID_SET_TYPE: "S019",
+    NOT_AN_OBJECT: "S020",
+    PRIVATE_MEMBER: "S021",
+    INVALID_CLASS: "S022",
+    FILE_MODE: "S023",
+    FILE_NOT_CLOSED: "S024",
+    FILE_ALREADY_OPEN: "S025",
+    FILE_NOT_OPEN: "S026",
+
+    // Runtime
+    RUNTIME_ERROR: "R000",
+    UNINITIALISED: "R001",
+    CONVERSION_FAILED: "R002",
+    FILE_ERROR: "R003",
+    END_OF_FILE: "R004",
+    INPUT_CANCELLED: "R005",
+    STEP_LIMIT: "R006",
+    STOPPED: "R007",
+    INDEX_OUT_OF_RANGE: "R008",
+    TYPE_ERROR: "R009",
+    STACK_OVERFLOW: "R010",
+    INVALID_ARGUMENT: "R011",
+    DIVISION_BY_ZERO: "R012",
+    NULL_POINTER: "R013",
+    FILE_LEFT_OPEN: "R014",
+    INTERNAL_ERROR: "R099"
+};
+
+
+// ============================================================
+// DIAGNOSTIC
+// ============================================================
+
+class Diagnostic {
+    constructor({ code, severity = Severity.ERROR, phase, message, range = null, hint = null, trace = null }) {
+        this.code = code;
+        this.severity = severity;
+        this.phase = phase;
+        this.message = message;
+        this.range = range;
+        this.hint = hint;
+        this.trace = trace;
+    }
+
+    get line() {
+        return this.range ? this.range.line : null;
+    }
+
+    get col() {
+        return this.range ? this.range.col : null;
+    }
+
+    isError() {
+        return this.severity === Severity.ERROR;
+    }
+
+    // e.g. "Line 4, col 8: error S001: Variable 'Y' not declared."
+    toString() {
+        const where = this.range ? `Line ${this.range.line}, col ${this.range.col}: ` : "";
+        return `${where}${this.severity} ${this.code}: ${this.message}`;
+    }
+
+    // One line per call in the trace, e.g. "at Fact(N = 0), called from line 5".
+    // Long traces (deep recursion) keep the innermost and outermost calls.
+    traceLines(limit = 12) {
+        if (!this.trace) return [];
+
+        const lines = this.trace.map(frame => {
+            const args = frame.args.map(a => `${a.name} = ${a.value}`).join(", ");
+            const from = frame.callLine ? `, called from line ${frame.callLine}` : "";
+            return `at ${frame.routine}(${args})${from}`;
+        });
+
+        if (lines.length <= limit) return lines;
+        const head = lines.slice(0, limit - 3);
+        const tail = lines.slice(-2);
+        return [...head, `... ${lines.length - head.length - tail.length} more calls ...`, ...tail];
+    }
+}
+
+
+// ============================================================
+// DIAGNOSTIC ERROR (base class for errors thrown by the pipeline)
+// ============================================================
+// Phases that stop at the error (parser, runtime) throw these; the
+// compiler turns them into Diagnostic objects with toDiagnostic().
+
+class DiagnosticError extends Error {
+    constructor(phase, message, code, hint = null) {
+        super(message);
+        this.phase = phase;
+        this.code = code;
+        this.detail = message; // message without the location prefix
+        this.hint = hint;
+        this.span = null;
+        this.line = null;
+        this.col = null;
+    }
+
+    // Record where the error happened. The first span wins, so an error
+    // located deep inside a construct keeps its most precise position.
+    locate(span) {
+        if (this.span || !span) return this;
+        this.span = { line: span.line, col: span.col, endLine: span.endLine, endCol: span.endCol };
+        this.line = span.line;
+        this.col = span.col;
+        this.message = `Line ${this.line}: ${this.detail}`;
+        return this;
+    }
+
+    toDiagnostic() {
+        return new Diagnostic({
+            code: this.code,
+            severity: Severity.ERROR,
+            phase: this.phase,
+            message: this.detail,
+            range: this.span,
+            hint: this.hint
+        });
+    }
+}
+
+
+// ------------------------------------------------------------
+// HELPERS
+// ------------------------------------------------------------
+
+function hasErrors(diagnostics) {
+    return diagnostics.some(d => d.severity === Severity.ERROR);
+}
+
+// Count diagnostics by severity: { error, warning, info }
+function countDiagnostics(diagnostics) {
+    const counts = { error: 0, warning: 0, info: 0 };
+    for (const d of diagnostics) {
+        counts[d.severity]++;
+    }
+    return counts;
+}
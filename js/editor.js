@@ -1,7 +1,7 @@
 // ============================================================
 // SYNTAX-HIGHLIGHTED CODE EDITOR
 // ============================================================
-// Depends on: tokens.js (for keyword list reference)
+// Depends on: tokens.js (for keyword list reference), builtins.js (BUILTINS)
 //
 // Provides a custom code editor with:
 //   - Syntax highlighting (keywords, strings, comments, numbers, types)
@@ -9,6 +9,7 @@
 //   - Auto-indentation
 //   - Error line highlighting
 //   - Synchronised scrolling between textarea and highlight overlay
+//   - Optional exam-paper operator glyphs (<- shown as ←, and so on)
 
 class PseudocodeEditor {
 
@@ -16,6 +17,17 @@ class PseudocodeEditor {
         this.container = document.getElementById(containerId);
         this.errorLine = -1;
 
+        // Show <-, <>, <=, >= as ←, ≠, ≤, ≥. Only the highlight layer
+        // changes; the textarea (and so the saved file) stays ASCII.
+        this.operatorGlyphs = false;
+        this.glyphs = { "<-": "\u2190", "<>": "\u2260", "<=": "\u2264", ">=": "\u2265" };
+
+        // Opening quote -> the quotes that close it, as in the lexer
+        this.quotes = {
+            '"': '"', "\u201C": "\u201C\u201D", "\u201D": "\u201C\u201D",
+            "'": "'", "\u2018": "\u2018\u2019", "\u2019": "\u2018\u2019"
+        };
+
         // CIE pseudocode language definitions
         this.keywords = new Set([
             "DECLARE", "CONSTANT", "IF", "THEN", "ELSE", "ENDIF",
@@ -26,28 +38,27 @@ class PseudocodeEditor {
             "FUNCTION", "ENDFUNCTION", "CALL", "RETURN", "RETURNS",
             "BYREF", "BYVAL", "AND", "OR", "NOT", "DIV", "MOD",
             "OPENFILE", "READFILE", "WRITEFILE", "CLOSEFILE",
-            "TYPE", "ENDTYPE",
-            "TRUE", "FALSE"
+            "SEEK", "GETRECORD", "PUTRECORD",
+            "TYPE", "ENDTYPE", "SET", "DEFINE",
+            "IN", "UNION", "INTERSECT", "DIFFERENCE",
+            "CLASS", "ENDCLASS", "INHERITS", "PUBLIC", "PRIVATE", "NEW", "SUPER",
+            "TRUE", "FALSE", "NULL"
         ]);
 
         this.types = new Set([
-            "INTEGER", "REAL", "STRING", "BOOLEAN", "CHAR",
-            "READ", "WRITE", "APPEND"
+            "INTEGER", "REAL", "STRING", "BOOLEAN", "CHAR", "DATE",
+            "READ", "WRITE", "APPEND", "RANDOM"
         ]);
 
-        this.builtins = new Set([
-            "LENGTH", "LCASE", "UCASE", "MID", "LEFT", "RIGHT",
-            "TO_UPPER", "TO_LOWER", "INT", "RAND",
-            "NUM_TO_STR", "STR_TO_NUM", "CHR", "ASC", "EOF"
-        ]);
+        this.builtins = new Set(BUILTINS.keys());
 
         // Indentation rules
         this.indentKeywords = new Set([
-            "IF", "WHILE", "FOR", "REPEAT", "CASE", "PROCEDURE", "FUNCTION", "OTHERWISE", "TYPE"
+            "IF", "WHILE", "FOR", "REPEAT", "CASE", "PROCEDURE", "FUNCTION", "OTHERWISE", "TYPE", "CLASS"
         ]);
         this.dedentKeywords = new Set([
             "ENDIF", "ENDWHILE", "NEXT", "UNTIL", "ENDCASE",
-            "ENDPROCEDURE", "ENDFUNCTION", "ENDTYPE", "ELSE", "OTHERWISE"
+            "ENDPROCEDURE", "ENDFUNCTION", "ENDTYPE", "ENDCLASS", "ELSE", "OTHERWISE"
         ]);
 
         this.build();
@@ -172,7 +183,9 @@ class PseudocodeEditor {
         let indent = indentMatch ? indentMatch[1] : '';
 
         const trimmed = currentLine.trim().toUpperCase();
-        const firstWord = trimmed.split(/\s/)[0];
+        // Methods start with PUBLIC or PRIVATE: PUBLIC PROCEDURE NEW(...)
+        const words = trimmed.split(/\s+/);
+        const firstWord = (words[0] === "PUBLIC" || words[0] === "PRIVATE") ? words[1] : words[0];
 
         if (this.dedentKeywords.has(firstWord)) {
             // Line is a closing keyword — next line stays at the same (already-reduced) indent
@@ -261,11 +274,11 @@ class PseudocodeEditor {
                 break;
             }
 
-            // Strings (double or single quotes)
-            if (line[i] === '"' || line[i] === "'") {
-                const quote = line[i];
+            // Strings (double or single quotes, straight or curly)
+            const closers = this.quotes[line[i]];
+            if (closers) {
                 let j = i + 1;
-                while (j < line.length && line[j] !== quote) {
+                while (j < line.length && !closers.includes(line[j])) {
                     if (line[j] === '\\') j++; // skip escaped chars
                     j++;
                 }
@@ -275,10 +288,11 @@ class PseudocodeEditor {
                 continue;
             }
 
-            // Numbers
+            // Numbers and dates (dd/mm/yyyy)
             if (/[0-9]/.test(line[i])) {
-                let j = i;
-                while (j < line.length && /[0-9.]/.test(line[j])) j++;
+                const date = line.slice(i).match(/^\d{1,2}\/\d{1,2}\/\d{4}/);
+                let j = date ? i + date[0].length : i;
+                while (!date && j < line.length && /[0-9.]/.test(line[j])) j++;
                 result += '<span class="psc-number">' + this.escapeHTML(line.substring(i, j)) + '</span>';
                 i = j;
                 continue;
@@ -305,27 +319,15 @@ class PseudocodeEditor {
             }
 
             // Operators
-            if (line[i] === '<' && line[i + 1] === '-') {
-                result += '<span class="psc-operator">' + '&lt;-' + '</span>';
-                i += 2;
-                continue;
-            }
-            if (line[i] === '<' && line[i + 1] === '>') {
-                result += '<span class="psc-operator">' + '&lt;&gt;' + '</span>';
-                i += 2;
-                continue;
-            }
-            if (line[i] === '<' && line[i + 1] === '=') {
-                result += '<span class="psc-operator">&lt;=</span>';
-                i += 2;
-                continue;
-            }
-            if (line[i] === '>' && line[i + 1] === '=') {
-                result += '<span class="psc-operator">&gt;=</span>';
+            const pair = line.substring(i, i + 2);
+            if (this.glyphs[pair]) {
+                result += this.operatorGlyphs
+                    ? '<span class="psc-operator psc-glyph">' + this.glyphs[pair] + '</span>'
+                    : '<span class="psc-operator">' + this.escapeHTML(pair) + '</span>';
                 i += 2;
                 continue;
             }
-            if ('<>=+-*/^&'.includes(line[i])) {
+            if ('<>=+-*/^&\u2190\u2260\u2264\u2265'.includes(line[i])) {
                 result += '<span class="psc-operator">' + this.escapeHTML(line[i]) + '</span>';
                 i++;
                 continue;
@@ -416,6 +418,11 @@ class PseudocodeEditor {
         this.update();
     }
 
+    setOperatorGlyphs(on) {
+        this.operatorGlyphs = on;
+        this.update();
+    }
+
     focus() {
         this.textarea.focus();
     }
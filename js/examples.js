@@ -61,6 +61,31 @@ CASE OF Day
 ENDCASE
 
 OUTPUT "Day: " & DayName`
+    },
+    {
+        name: "CASE with Ranges",
+        code: `DECLARE Mark : INTEGER
+DECLARE Initial : STRING
+
+OUTPUT "Enter a mark (0-100):"
+INPUT Mark
+
+CASE OF Mark
+    >= 90 : OUTPUT "Grade: A*"
+    70 TO 89 : OUTPUT "Grade: A"
+    50 TO 69 : OUTPUT "Grade: B"
+    < 0 : OUTPUT "Invalid mark"
+    OTHERWISE : OUTPUT "Grade: U"
+ENDCASE
+
+OUTPUT "Enter your initial:"
+INPUT Initial
+
+CASE OF Initial
+    "A" TO "M" : OUTPUT "Group 1"
+    "N" TO "Z" : OUTPUT "Group 2"
+    OTHERWISE : OUTPUT "Unknown group"
+ENDCASE`
     },
     {
         name: "FOR Loop",
@@ -82,10 +107,10 @@ OUTPUT "Total: " & NUM_TO_STR(Sum)`
 DECLARE Secret : INTEGER
 DECLARE Attempts : INTEGER
 
-Secret <- RAND(100)
+Secret <- INT(RAND(100)) + 1
 Attempts <- 0
 
-OUTPUT "I'm thinking of a number between 0 and 100."
+OUTPUT "I'm thinking of a number between 1 and 100."
 OUTPUT "Try to guess it!"
 
 Guess <- -1
@@ -211,8 +236,8 @@ S <- "Hello World"
 
 OUTPUT "String: " & S
 OUTPUT "Length: " & NUM_TO_STR(LENGTH(S))
-OUTPUT "Upper:  " & UCASE(S)
-OUTPUT "Lower:  " & LCASE(S)
+OUTPUT "Upper:  " & TO_UPPER(S)
+OUTPUT "Lower:  " & TO_LOWER(S)
 OUTPUT "Left 5: " & LEFT(S, 5)
 OUTPUT "Right 5:" & RIGHT(S, 5)
 OUTPUT "Mid 4,3:" & MID(S, 4, 3)
@@ -287,6 +312,39 @@ CLOSEFILE "data.txt"
 
 OUTPUT ""
 OUTPUT "Done reading file."`
+    },
+    {
+        name: "Random Files",
+        code: `TYPE Student
+    DECLARE Name : STRING
+    DECLARE Mark : INTEGER
+ENDTYPE
+
+DECLARE Pupil : Student
+DECLARE Position : INTEGER
+
+// Each address in a RANDOM file holds one record
+OPENFILE "Pupils.dat" FOR RANDOM
+FOR Position <- 1 TO 3
+    OUTPUT "Name of pupil ", Position, ":"
+    INPUT Pupil.Name
+    Pupil.Mark <- 0
+    SEEK "Pupils.dat", Position
+    PUTRECORD "Pupils.dat", Pupil
+NEXT Position
+
+// Change one record in place
+SEEK "Pupils.dat", 2
+GETRECORD "Pupils.dat", Pupil
+Pupil.Mark <- 75
+PUTRECORD "Pupils.dat", Pupil
+
+FOR Position <- 1 TO 3
+    SEEK "Pupils.dat", Position
+    GETRECORD "Pupils.dat", Pupil
+    OUTPUT Position, ": ", Pupil.Name, " ", Pupil.Mark
+NEXT Position
+CLOSEFILE "Pupils.dat"`
     },
     {
         name: "User-Defined Types",
@@ -316,5 +374,177 @@ IF Student.Score >= 50.0 THEN
 ELSE
     OUTPUT "Result: FAIL"
 ENDIF`
+    },
+    {
+        name: "Dates",
+        code: `DECLARE Birthday : DATE
+DECLARE Deadline : DATE
+DECLARE Days : ARRAY[1:7] OF STRING
+
+Days[1] <- "Sunday"
+Days[2] <- "Monday"
+Days[3] <- "Tuesday"
+Days[4] <- "Wednesday"
+Days[5] <- "Thursday"
+Days[6] <- "Friday"
+Days[7] <- "Saturday"
+
+Deadline <- 31/03/2025
+
+OUTPUT "Enter your birthday (dd/mm/yyyy):"
+INPUT Birthday
+
+OUTPUT "You were born on a " & Days[DAYINDEX(Birthday)]
+OUTPUT "Day: " & NUM_TO_STR(DAY(Birthday)) & "  Month: " & NUM_TO_STR(MONTH(Birthday)) & "  Year: " & NUM_TO_STR(YEAR(Birthday))
+
+IF Birthday < Deadline THEN
+    OUTPUT "That is before the deadline of " & Deadline
+ELSE
+    OUTPUT "That is on or after the deadline of " & Deadline
+ENDIF
+
+OUTPUT "First of that month: " & SETDATE(1, MONTH(Birthday), YEAR(Birthday))
+OUTPUT "Today is " & NOW()`
+    },
+    {
+        name: "Enumerated Types",
+        code: `TYPE Season = (Spring, Summer, Autumn, Winter)
+
+DECLARE S : Season
+DECLARE Favourite : Season
+
+OUTPUT "The seasons are:"
+FOR S <- Spring TO Winter
+    OUTPUT "  " & S
+NEXT S
+
+OUTPUT "Enter your favourite season:"
+INPUT Favourite
+
+CASE OF Favourite
+    Spring : OUTPUT "Blossom time!"
+    Summer : OUTPUT "Beach time!"
+    OTHERWISE OUTPUT "Cosy time!"
+ENDCASE
+
+IF Favourite > Summer THEN
+    OUTPUT Favourite & " comes in the second half of the year."
+ENDIF`
+    },
+    {
+        name: "Pointers",
+        code: `// A linked list kept in order, built from an array of nodes
+TYPE TNodePtr = ^TNode
+TYPE TNode
+    DECLARE Data : INTEGER
+    DECLARE Link : TNodePtr
+ENDTYPE
+
+DECLARE Nodes : ARRAY[1:5] OF TNode
+DECLARE Head : TNodePtr
+DECLARE Current : TNodePtr
+DECLARE Previous : TNodePtr
+DECLARE Index : INTEGER
+
+Head <- NULL
+
+FOR Index <- 1 TO 5
+    OUTPUT "Enter a number:"
+    INPUT Nodes[Index].Data
+
+    // Find the first node with larger data, then insert before it
+    Previous <- NULL
+    Current <- Head
+    WHILE Current <> NULL AND Current^.Data < Nodes[Index].Data DO
+        Previous <- Current
+        Current <- Current^.Link
+    ENDWHILE
+
+    Nodes[Index].Link <- Current
+    IF Previous = NULL THEN
+        Head <- @Nodes[Index]
+    ELSE
+        Previous^.Link <- @Nodes[Index]
+    ENDIF
+NEXT Index
+
+OUTPUT "In order:"
+Current <- Head
+WHILE Current <> NULL DO
+    OUTPUT Current^.Data
+    Current <- Current^.Link
+ENDWHILE`
+    },
+    {
+        name: "Sets",
+        code: `TYPE LetterSet = SET OF CHAR
+
+DEFINE Vowels ('A', 'E', 'I', 'O', 'U') : LetterSet
+DECLARE Used : LetterSet
+DECLARE Word : STRING
+DECLARE Letter : CHAR
+DECLARE Index : INTEGER
+
+OUTPUT "Enter a word:"
+INPUT Word
+
+Used <- []
+FOR Index <- 1 TO LENGTH(Word)
+    Letter <- UCASE(MID(Word, Index, 1))
+    Used <- Used UNION [Letter]
+NEXT Index
+
+OUTPUT "Letters used: " & Used
+OUTPUT "Vowels used: " & (Used INTERSECT Vowels)
+OUTPUT "Other letters: " & (Used DIFFERENCE Vowels)
+
+IF 'E' IN Used THEN
+    OUTPUT "The word contains an E"
+ENDIF`
+    },
+    {
+        name: "Classes",
+        code: `CLASS Pet
+    PRIVATE Name : STRING
+    PUBLIC PROCEDURE NEW(GivenName : STRING)
+        Name <- GivenName
+    ENDPROCEDURE
+    PUBLIC FUNCTION GetName() RETURNS STRING
+        RETURN Name
+    ENDFUNCTION
+    PUBLIC PROCEDURE Speak()
+        OUTPUT GetName() & " makes a noise"
+    ENDPROCEDURE
+ENDCLASS
+
+CLASS Cat INHERITS Pet
+    PRIVATE Lives : INTEGER
+    PUBLIC PROCEDURE NEW(GivenName : STRING)
+        SUPER.NEW(GivenName)
+        Lives <- 9
+    ENDPROCEDURE
+    PUBLIC PROCEDURE Speak()
+        OUTPUT GetName() & " says Miaow"
+    ENDPROCEDURE
+    PUBLIC PROCEDURE LoseLife()
+        Lives <- Lives - 1
+        OUTPUT GetName() & " has " & NUM_TO_STR(Lives) & " lives left"
+    ENDPROCEDURE
+ENDCLASS
+
+DECLARE Pets : ARRAY[1:2] OF Pet
+DECLARE Tom : Cat
+DECLARE Index : INTEGER
+
+Tom <- NEW Cat("Tom")
+Pets[1] <- NEW Pet("Rex")
+Pets[2] <- Tom
+
+// Each pet speaks in its own way
+FOR Index <- 1 TO 2
+    CALL Pets[Index].Speak()
+NEXT Index
+
+CALL Tom.LoseLife()`
     }
 ];
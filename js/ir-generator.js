@@ -1,7 +1,7 @@
 // ============================================================
 // IR GENERATOR (Three-Address Code)
 // ============================================================
-// Depends on: tokens.js (TokenType), ast.js (AST)
+// Depends on: tokens.js (TokenType), ast.js (AST), builtins.js (BUILTINS)
 //
 // Produces instructions like:
 //   T0 = X + 1
@@ -9,22 +9,23 @@
 //   GOTO L2
 //   L1:
 //   ...
+//
+// Alongside the instructions it records `spans`: spans[i] is the source
+// span of the AST node that instruction i was generated from.
 
 class IRGenerator {
-    constructor() {
+    // shortCircuit: AND / OR only evaluate their right operand when the
+    // left one does not already decide the result. Pass false for strict
+    // evaluation (both operands always evaluated).
+    constructor({ shortCircuit = true } = {}) {
+        this.shortCircuit = shortCircuit;
         this.instructions = [];
+        this.spans = [];
+        this.currentSpan = null; // span of the node currently being generated
         this.tempCount = 0;
         this.labelCount = 0;
         this.scopeDepth = 0; // Track whether we're inside a function/procedure
-
-        // Built-in function names (checked to emit CALL_BUILTIN instead of CALL FUNC_)
-        this.builtins = new Set([
-            "LENGTH", "LCASE", "UCASE", "MID", "LEFT", "RIGHT",
-            "TO_UPPER", "TO_LOWER",
-            "INT", "RAND",
-            "NUM_TO_STR", "STR_TO_NUM", "CHR", "ASC",
-            "EOF"
-        ]);
+        this.recordTypes = new Set(); // names of record TYPEs (see generate)
     }
 
     newTemp() {
@@ -37,6 +38,18 @@ class IRGenerator {
 
     emit(text) {
         this.instructions.push(text);
+        this.spans.push(this.currentSpan);
+    }
+
+    // Run a generator callback with `node`'s span as the current span
+    withSpan(node, fn) {
+        const outerSpan = this.currentSpan;
+        if (node.span) this.currentSpan = node.span;
+        try {
+            return fn();
+        } finally {
+            this.currentSpan = outerSpan;
+        }
     }
 
     // ============================================================
@@ -44,6 +57,14 @@ class IRGenerator {
     // ============================================================
 
     generate(programNode) {
+        this.currentSpan = programNode.span || null;
+
+        // Record types are known up front, so a DECLARE can allocate a
+        // record whatever order the program defines its types in
+        for (const stmt of programNode.statements) {
+            if (stmt.type === "TypeDef") this.recordTypes.add(stmt.name);
+        }
+
         for (const stmt of programNode.statements) {
             this.genStatement(stmt);
         }
@@ -55,21 +76,68 @@ class IRGenerator {
     // ============================================================
 
     genStatement(node) {
+        this.withSpan(node, () => this.genStatementKind(node));
+    }
+
+    genStatementKind(node) {
         switch (node.type) {
 
-            case "TypeDef":
-                // No IR needed; type info used only by semantic analysis
+            case "TypeDef": {
+                // Record layout, so the runtime can build records with every
+                // field in place: TYPE Order Customer:STRING Lines:STRING[1:10]
+                this.emit(`TYPE ${node.name} ${this.genFields(node.fields)}`);
+                break;
+            }
+
+            case "Class":
+                this.genClass(node);
                 break;
 
+            case "MethodCall":
+                this.genMethodCall(node);
+                break;
+
+            // Values in order: ENUM Season Spring Summer Autumn Winter
+            case "EnumDef":
+                this.emit(`ENUM ${node.name} ${node.values.join(" ")}`);
+                break;
+
+            // Type pointed to: POINTER TIntPointer INTEGER
+            case "PointerDef":
+                this.emit(`POINTER ${node.name} ${node.target}`);
+                break;
+
+            // Type of the elements: SET LetterSet CHAR
+            case "SetDef":
+                this.emit(`SET ${node.name} ${node.baseType}`);
+                break;
+
+            // A set variable declared with its elements:
+            //   T0 = SET "A" "E"
+            //   DECLARE Vowels LetterSet
+            //   Vowels = T0
+            case "Define": {
+                const elements = this.genExpression(node.elements);
+                this.genStatementKind({ type: "Declare", name: node.name, dataType: node.dataType, arrayDimensions: null });
+                this.emit(`${node.name} = ${elements}`);
+                break;
+            }
+
             case "Declare":
                 // For arrays, emit array allocation instruction
                 if (node.arrayDimensions) {
-                    const dims = node.arrayDimensions.map(d => `${d.start}:${d.end}`).join(',');
-                    this.emit(`ARRAY ${node.name} [${dims}]`);
+                    this.emit(`ARRAY ${node.name} [${this.genDims(node.arrayDimensions)}] ${node.dataType}`);
+                } else if (this.recordTypes.has(node.dataType)) {
+                    // Record variable: allocated with all its fields
+                    this.emit(`RECORD ${node.name} ${node.dataType}`);
                 } else if (this.scopeDepth > 0) {
                     // Inside a function/procedure: pre-create local variable
                     // so it doesn't accidentally shadow a global of the same name
-                    this.emit(`LOCAL ${node.name}`);
+                    this.emit(`LOCAL ${node.name} ${node.dataType}`);
+                } else {
+                    // Global scalar: the runtime records its type so values
+                    // stored in it are checked and displayed as that type
+                    this.emit(`DECLARE ${node.name} ${node.dataType}`);
                 }
                 break;
 
@@ -141,15 +209,44 @@ class IRGenerator {
                 this.genCloseFile(node);
                 break;
 
+            case "Seek":
+                this.genSeek(node);
+                break;
+
+            case "GetRecord":
+                this.genGetRecord(node);
+                break;
+
+            case "PutRecord":
+                this.genPutRecord(node);
+                break;
+
             default:
                 throw new Error(`Unknown statement node type: ${node.type}`);
         }
     }
 
+    // Bound values were evaluated by the semantic analyser: "1:3,1:4"
+    genDims(dimensions) {
+        return dimensions.map(d => `${d.startValue}:${d.endValue}`).join(',');
+    }
+
+    formatReal(value) {
+        const text = value.toString();
+        return /[.eE]|Infinity|NaN/.test(text) ? text : `${text}.0`;
+    }
+
     // ------------------------------------------------------------
     // CONSTANT
     // ------------------------------------------------------------
 
+    // Field:TYPE or Field:TYPE[dims], space separated
+    genFields(fields) {
+        return fields.map(f =>
+            `${f.name}:${f.type}${f.dimensions ? `[${this.genDims(f.dimensions)}]` : ""}`
+        ).join(" ");
+    }
+
     genConstant(node) {
         const value = this.genExpression(node.value);
         this.emit(`${node.name} = ${value}`);
@@ -162,16 +259,9 @@ class IRGenerator {
     genAssignment(node) {
         const value = this.genExpression(node.expr);
 
-        if (node.field) {
-            // Record field assignment: record.field = value
-            this.emit(`${node.name}.${node.field} = ${value}`);
-        } else if (node.indices) {
-            // Array element assignment
-            const indices = node.indices.map(idx => this.genExpression(idx)).join(',');
-            this.emit(`${node.name}[${indices}] = ${value}`);
-        } else {
-            this.emit(`${node.name} = ${value}`);
-        }
+        // Variable, array element or field: X, A[T0], Class.Pupils[3].Age
+        const target = this.genExpression(node.target);
+        this.emit(`${target} = ${value}`);
     }
 
     // ------------------------------------------------------------
@@ -197,16 +287,11 @@ class IRGenerator {
     // INPUT
     // ------------------------------------------------------------
 
+    // INPUT Age INTEGER: the type (from the semantic analyser) tells the
+    // runtime how to validate what is typed
     genInput(node) {
-        if (node.field) {
-            // Record field input: INPUT record.field
-            this.emit(`INPUT ${node.name}.${node.field}`);
-        } else if (node.indices) {
-            const indices = node.indices.map(idx => this.genExpression(idx)).join(',');
-            this.emit(`INPUT ${node.name}[${indices}]`);
-        } else {
-            this.emit(`INPUT ${node.name}`);
-        }
+        const target = this.genExpression(node.target);
+        this.emit(node.targetType ? `INPUT ${target} ${node.targetType}` : `INPUT ${target}`);
     }
 
     // ------------------------------------------------------------
@@ -302,7 +387,7 @@ class IRGenerator {
             const tempNotStepPos = this.newTemp();
             const tempA = this.newTemp();
             const tempB = this.newTemp();
-            this.emit(`${tempNotStepPos} = ${tempStepPos} == 0`);
+            this.emit(`${tempNotStepPos} = NOT ${tempStepPos}`);
             this.emit(`${tempA} = ${tempStepPos} && ${tempUp}`);
             this.emit(`${tempB} = ${tempNotStepPos} && ${tempDown}`);
             this.emit(`${tempCond} = ${tempA} || ${tempB}`);
@@ -377,18 +462,14 @@ class IRGenerator {
 
             // For each value in this branch, check for a match
             if (branch.values.length === 1) {
-                // Single value
-                const val = this.genExpression(branch.values[0]);
-                const tempCond = this.newTemp();
-                this.emit(`${tempCond} = ${exprVal} == ${val}`);
+                // Single value, range or guard
+                const tempCond = this.genCaseTest(exprVal, branch.values[0]);
                 this.emit(`IFZ ${tempCond} GOTO ${labelNext}`);
             } else {
                 // Multiple values (OR'd together)
                 const labelMatch = this.newLabel();
                 for (const v of branch.values) {
-                    const val = this.genExpression(v);
-                    const tempCond = this.newTemp();
-                    this.emit(`${tempCond} = ${exprVal} == ${val}`);
+                    const tempCond = this.genCaseTest(exprVal, v);
                     // If any match, jump to the body
                     this.emit(`IFNZ ${tempCond} GOTO ${labelMatch}`);
                 }
@@ -414,26 +495,43 @@ class IRGenerator {
         this.emit(`${labelEnd}:`);
     }
 
+    // Emit the test for one CASE label and return the temp holding it
+    genCaseTest(exprVal, label) {
+        return this.withSpan(label, () => {
+            const tempCond = this.newTemp();
+
+            if (label.type === "CaseRange") {
+                const low = this.genExpression(label.low);
+                const high = this.genExpression(label.high);
+                const tempLow = this.newTemp();
+                const tempHigh = this.newTemp();
+                this.emit(`${tempLow} = ${exprVal} >= ${low}`);
+                this.emit(`${tempHigh} = ${exprVal} <= ${high}`);
+                this.emit(`${tempCond} = ${tempLow} && ${tempHigh}`);
+            } else if (label.type === "CaseGuard") {
+                const val = this.genExpression(label.value);
+                this.emit(`${tempCond} = ${exprVal} ${this.mapOp(label.op)} ${val}`);
+            } else {
+                const val = this.genExpression(label);
+                this.emit(`${tempCond} = ${exprVal} == ${val}`);
+            }
+            return tempCond;
+        });
+    }
+
     // ------------------------------------------------------------
     // PROCEDURE
     // ------------------------------------------------------------
 
-    genProcedure(node) {
+    genProcedure(node, label = `PROC_${node.name}`) {
         const labelSkip = this.newLabel();
         this.emit(`GOTO ${labelSkip}`);
-        this.emit(`PROC_${node.name}:`);
-
-        // Enter local scope
-        this.emit(`ENTER_SCOPE`);
+        this.emit(`${label}:`);
 
-        // Pop arguments from arg stack into parameter names (in reverse order)
+        // CALL has pushed a frame for this call. Pop arguments from the
+        // arg stack into parameter names (in reverse order)
         for (let i = node.params.length - 1; i >= 0; i--) {
-            const param = node.params[i];
-            if (param.mode === "BYREF") {
-                this.emit(`POP_BYREF ${param.name}`);
-            } else {
-                this.emit(`POP_PARAM ${param.name}`);
-            }
+            this.genPopParam(node.params[i]);
         }
 
         this.scopeDepth++;
@@ -442,14 +540,13 @@ class IRGenerator {
         }
         this.scopeDepth--;
 
-        // Write back BYREF params before exiting scope
+        // Write back BYREF params before RET pops the frame
         for (const param of node.params) {
             if (param.mode === "BYREF") {
                 this.emit(`WRITEBACK_BYREF ${param.name}`);
             }
         }
 
-        this.emit(`EXIT_SCOPE`);
         this.emit(`RET`);
         this.emit(`${labelSkip}:`);
     }
@@ -458,22 +555,18 @@ class IRGenerator {
     // FUNCTION
     // ------------------------------------------------------------
 
-    genFunction(node) {
+    genFunction(node, label = `FUNC_${node.name}`) {
         const labelSkip = this.newLabel();
         this.emit(`GOTO ${labelSkip}`);
-        this.emit(`FUNC_${node.name}:`);
+        this.emit(`${label}:`);
 
-        // Enter local scope
-        this.emit(`ENTER_SCOPE`);
+        // RETVAL values are converted to the return type
+        this.emit(`RETURNS ${node.returnType}`);
 
-        // Pop arguments from arg stack into parameter names (in reverse order)
+        // CALL has pushed a frame for this call. Pop arguments from the
+        // arg stack into parameter names (in reverse order)
         for (let i = node.params.length - 1; i >= 0; i--) {
-            const param = node.params[i];
-            if (param.mode === "BYREF") {
-                this.emit(`POP_BYREF ${param.name}`);
-            } else {
-                this.emit(`POP_PARAM ${param.name}`);
-            }
+            this.genPopParam(node.params[i]);
         }
 
         this.scopeDepth++;
@@ -483,25 +576,67 @@ class IRGenerator {
         this.scopeDepth--;
 
         // RETURN should have been emitted inside the body
-        this.emit(`EXIT_SCOPE`);
         this.emit(`RET`);
         this.emit(`${labelSkip}:`);
     }
 
+    // POP_PARAM X INTEGER / POP_BYREF X INTEGER. Array parameters carry
+    // their element type with the array itself, so no type is emitted.
+    genPopParam(param) {
+        const op = param.mode === "BYREF" ? "POP_BYREF" : "POP_PARAM";
+        this.emit(param.isArray ? `${op} ${param.name}` : `${op} ${param.name} ${param.type}`);
+    }
+
+    // ------------------------------------------------------------
+    // CLASS
+    // ------------------------------------------------------------
+    // The attributes, written like the fields of a record, then each method
+    // as a routine labelled METHOD_Class.Name:
+    //   CLASS Cat INHERITS Pet Lives:INTEGER
+    // A method reaches the object it was called on as SELF, so an attribute
+    // used by name inside it is the path SELF.Name.
+
+    genClass(node) {
+        const parent = node.parent ? ` INHERITS ${node.parent}` : "";
+        this.emit(`CLASS ${node.name}${parent} ${this.genFields(node.attributes)}`.trimEnd());
+
+        for (const method of node.methods) {
+            const label = `METHOD_${node.name}.${method.name}`;
+            this.withSpan(method, () => method.type === "Procedure"
+                ? this.genProcedure(method, label)
+                : this.genFunction(method, label));
+        }
+    }
+
+    // The runtime picks the method from the object's class, so a subclass's
+    // version runs when it has one. SUPER.Speak() names the class to start
+    // from instead:
+    //   CALL_METHOD MyPet Speak
+    //   CALL_METHOD SELF Speak Pet
+    genMethodCall(node) {
+        const object = node.superClass ? "SELF" : this.genExpression(node.object);
+        this.genArgs(node.args);
+        this.emit(`CALL_METHOD ${object} ${node.method}${node.superClass ? ` ${node.superClass}` : ""}`);
+    }
+
     // ------------------------------------------------------------
     // CALL (as statement)
     // ------------------------------------------------------------
 
     genCallStatement(node) {
-        // Push arguments — for BYREF args, push the variable name as a reference
-        for (const arg of node.args) {
-            if (arg.type === "Identifier") {
+        this.genArgs(node.args);
+        // Inside a method, a call by name is to a method of the same object
+        this.emit(node.method ? `CALL_METHOD SELF ${node.name}` : `CALL PROC_${node.name}`);
+    }
+
+    // Push arguments — for variables, also push the name as a reference so
+    // a BYREF parameter can write back to it. Whole arrays and records are
+    // pushed the same way; the runtime copies them for BYVAL parameters.
+    genArgs(args) {
+        for (const arg of args) {
+            if (["Identifier", "ArrayAccess", "FieldAccess", "Deref"].includes(arg.type)) {
                 // Could be BYREF — push both value and ref name
-                this.emit(`PUSH ${arg.name}`);
-                this.emit(`PUSH_REF ${arg.name}`);
-            } else if (arg.type === "ArrayAccess") {
-                const indices = arg.indices.map(idx => this.genExpression(idx)).join(',');
-                const ref = `${arg.name}[${indices}]`;
+                const ref = this.genExpression(arg);
                 this.emit(`PUSH ${ref}`);
                 this.emit(`PUSH_REF ${ref}`);
             } else {
@@ -510,7 +645,6 @@ class IRGenerator {
                 this.emit(`PUSH_REF __NONE__`);
             }
         }
-        this.emit(`CALL PROC_${node.name}`);
     }
 
     // ------------------------------------------------------------
@@ -520,7 +654,6 @@ class IRGenerator {
     genReturn(node) {
         const val = this.genExpression(node.expr);
         this.emit(`RETVAL ${val}`);
-        this.emit(`EXIT_SCOPE`);
         this.emit(`RET`);
     }
 
@@ -535,7 +668,8 @@ class IRGenerator {
 
     genReadFile(node) {
         const filename = this.genExpression(node.filename);
-        this.emit(`READFILE ${filename} ${node.variable}`);
+        const target = this.genExpression(node.target);
+        this.emit(`READFILE ${filename} ${target}`);
     }
 
     genWriteFile(node) {
@@ -549,35 +683,89 @@ class IRGenerator {
         this.emit(`CLOSEFILE ${filename}`);
     }
 
+    genSeek(node) {
+        const filename = this.genExpression(node.filename);
+        const address = this.genExpression(node.address);
+        this.emit(`SEEK ${filename} ${address}`);
+    }
+
+    genGetRecord(node) {
+        const filename = this.genExpression(node.filename);
+        const target = this.genExpression(node.target);
+        this.emit(`GETRECORD ${filename} ${target}`);
+    }
+
+    genPutRecord(node) {
+        const filename = this.genExpression(node.filename);
+        const source = this.genExpression(node.source);
+        this.emit(`PUTRECORD ${filename} ${source}`);
+    }
+
     // ============================================================
     // EXPRESSIONS
     // ============================================================
 
     genExpression(node) {
+        return this.withSpan(node, () => this.genExpressionKind(node));
+    }
+
+    genExpressionKind(node) {
         switch (node.type) {
 
             case "IntegerLiteral":
                 return node.value.toString();
 
+            // Always written with a decimal point (5.0, not 5), which is how
+            // the runtime tells REAL constants from INTEGER ones
             case "RealLiteral":
-                return node.value.toString();
+                return this.formatReal(node.value);
 
+            // A CHAR is a one-character string at run time. A quote or
+            // backslash inside is escaped with a backslash, so the runtime
+            // can tell where the literal ends (see Runtime.quotedEnd)
             case "StringLiteral":
-                return `"${node.value}"`;
+            case "CharLiteral":
+                return `"${node.value.replace(/["\\]/g, "\\$&")}"`;
 
             case "BooleanLiteral":
-                return node.value ? "1" : "0";
+                return node.value ? "TRUE" : "FALSE";
+
+            // dd/mm/yyyy; the runtime recognises the form (see Runtime.getValue)
+            case "DateLiteral":
+                return node.value;
+
+            case "NullLiteral":
+                return "NULL";
+
+            // The elements are operands: T0 = SET "A" "E" T1
+            case "SetLiteral": {
+                const elements = node.elements.map(element => this.genExpression(element));
+                const t = this.newTemp();
+                this.emit(`${t} = SET ${elements.join(" ")}`.trimEnd());
+                return t;
+            }
+
+            // Pointers are operands too: @Scores[T0] takes an address and
+            // Node^.Next follows a pointer (see Runtime.resolveSlot)
+            case "AddressOf":
+                return `@${this.genExpression(node.target)}`;
+
+            case "Deref":
+                return `${this.genExpression(node.base)}^`;
 
             case "Identifier":
-                return node.name;
+                return node.attribute ? `SELF.${node.name}` : node.name;
 
+            // Access chains become a path the runtime resolves, e.g.
+            // Students[T0].Name or Class.Pupils[3].Age (indices are operands)
             case "ArrayAccess": {
+                const base = this.genExpression(node.base);
                 const indices = node.indices.map(idx => this.genExpression(idx)).join(',');
-                return `${node.name}[${indices}]`;
+                return `${base}[${indices}]`;
             }
 
             case "FieldAccess":
-                return `${node.name}.${node.field}`;
+                return `${this.genExpression(node.base)}.${node.field}`;
 
             case "Binary":
                 return this.genBinary(node);
@@ -588,6 +776,25 @@ class IRGenerator {
             case "Call":
                 return this.genCallExpression(node);
 
+            case "MethodCall": {
+                this.genMethodCall(node);
+                const t = this.newTemp();
+                this.emit(`${t} = RETVAL`);
+                return t;
+            }
+
+            // A new object, then its constructor (the runtime skips it if
+            // the class has none):
+            //   T0 = NEW Cat
+            //   CALL_METHOD T0 NEW
+            case "New": {
+                const t = this.newTemp();
+                this.emit(`${t} = NEW ${node.className}`);
+                this.genArgs(node.args);
+                this.emit(`CALL_METHOD ${t} NEW`);
+                return t;
+            }
+
             default:
                 throw new Error(`Unknown expression node: ${node.type}`);
         }
@@ -598,6 +805,10 @@ class IRGenerator {
     // ------------------------------------------------------------
 
     genBinary(node) {
+        if (this.shortCircuit && (node.op === "AND" || node.op === "OR")) {
+            return this.genShortCircuit(node);
+        }
+
         const left = this.genExpression(node.left);
         const right = this.genExpression(node.right);
 
@@ -606,6 +817,29 @@ class IRGenerator {
         return t;
     }
 
+    // AND: if the left operand is false the result is false, skip the right
+    // OR:  if the left operand is true the result is true, skip the right
+    //
+    //   T0 = left
+    //   IFZ T0 GOTO L0      (IFNZ for OR)
+    //   T0 = right
+    //   L0:
+    genShortCircuit(node) {
+        const t = this.newTemp();
+        const labelDone = this.newLabel();
+        const jump = node.op === "AND" ? "IFZ" : "IFNZ";
+
+        const left = this.genExpression(node.left);
+        this.emit(`${t} = ${left}`);
+        this.emit(`${jump} ${t} GOTO ${labelDone}`);
+
+        const right = this.genExpression(node.right);
+        this.emit(`${t} = ${right}`);
+        this.emit(`${labelDone}:`);
+
+        return t;
+    }
+
     // ------------------------------------------------------------
     // UNARY OPERATORS
     // ------------------------------------------------------------
@@ -615,7 +849,7 @@ class IRGenerator {
         const t = this.newTemp();
 
         if (node.op === "NOT") {
-            this.emit(`${t} = ${operand} == 0`);
+            this.emit(`${t} = NOT ${operand}`);
         } else if (node.op === "NEGATE") {
             this.emit(`${t} = 0 - ${operand}`);
         } else {
@@ -631,29 +865,14 @@ class IRGenerator {
 
     genCallExpression(node) {
         // Check if this is a built-in function
-        if (this.builtins.has(node.name)) {
+        if (BUILTINS.has(node.name)) {
             return this.genBuiltinCall(node);
         }
 
-        // Push arguments — for BYREF args, push the variable name as a reference
-        for (const arg of node.args) {
-            if (arg.type === "Identifier") {
-                this.emit(`PUSH ${arg.name}`);
-                this.emit(`PUSH_REF ${arg.name}`);
-            } else if (arg.type === "ArrayAccess") {
-                const indices = arg.indices.map(idx => this.genExpression(idx)).join(',');
-                const ref = `${arg.name}[${indices}]`;
-                this.emit(`PUSH ${ref}`);
-                this.emit(`PUSH_REF ${ref}`);
-            } else {
-                const val = this.genExpression(arg);
-                this.emit(`PUSH ${val}`);
-                this.emit(`PUSH_REF __NONE__`);
-            }
-        }
+        this.genArgs(node.args);
 
         const t = this.newTemp();
-        this.emit(`CALL FUNC_${node.name}`);
+        this.emit(node.method ? `CALL_METHOD SELF ${node.name}` : `CALL FUNC_${node.name}`);
         this.emit(`${t} = RETVAL`);
         return t;
     }
@@ -696,6 +915,11 @@ class IRGenerator {
             case "AND": return "&&";
             case "OR": return "||";
 
+            case "IN": return "IN";
+            case "UNION": return "UNION";
+            case "INTERSECT": return "INTERSECT";
+            case "DIFFERENCE": return "DIFFERENCE";
+
             default:
                 throw new Error(`Unknown operator: ${op}`);
         }
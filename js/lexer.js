@@ -1,7 +1,33 @@
 // ============================================================
 // LEXER
 // ============================================================
-// Depends on: tokens.js (TokenType)
+// Depends on: tokens.js (TokenType), diagnostics.js (Diagnostic), dates.js (DateValue)
+//
+// Problems are collected in `diagnostics` instead of being thrown; the
+// offending characters are skipped so lexing always runs to the end.
+//
+// Text pasted from exam papers uses ←, ≠, ≤, ≥ and curly quotes. These
+// lex exactly like <-, <>, <=, >= and straight quotes; the token lexemes
+// are always the ASCII forms.
+
+// Exam-paper operator glyph -> [token type, ASCII lexeme]
+const OPERATOR_GLYPHS = {
+    "\u2190": [TokenType.ASSIGN, "<-"],   // ←
+    "\u2260": [TokenType.NE, "<>"],       // ≠
+    "\u2264": [TokenType.LE, "<="],       // ≤
+    "\u2265": [TokenType.GE, ">="]        // ≥
+};
+
+// Opening quote -> [quotes that may close it, the straight quote it stands for].
+// A straight quote closes only a straight quote, so "He said “hi”" is one string.
+const QUOTES = {
+    '"': ['"', '"'],
+    "\u201C": ["\u201C\u201D", '"'],   // “
+    "\u201D": ["\u201C\u201D", '"'],   // ”
+    "'": ["'", "'"],
+    "\u2018": ["\u2018\u2019", "'"],   // ‘
+    "\u2019": ["\u2018\u2019", "'"]    // ’
+};
 
 class Lexer {
     constructor(text) {
@@ -9,6 +35,9 @@ class Lexer {
         this.pos = 0;
         this.line = 1;
         this.col = 1;
+        this.startLine = 1;
+        this.startCol = 1;
+        this.diagnostics = [];
 
         this.keywords = new Map([
             ["DECLARE", TokenType.DECLARE],
@@ -62,12 +91,45 @@ class Lexer {
             ["BOOLEAN", "BOOLEAN"],
             ["CHAR", "CHAR"]
         ]);
+
+        // Keywords only where the parser expects them (SET in a TYPE
+        // definition, UNION between two sets, ...). They lex as identifiers
+        // tagged with `keyword`, so a variable can still be called Difference.
+        this.contextualKeywords = new Map([
+            ["SET", TokenType.SET],
+            ["DEFINE", TokenType.DEFINE],
+            ["IN", TokenType.IN],
+            ["UNION", TokenType.UNION],
+            ["INTERSECT", TokenType.INTERSECT],
+            ["DIFFERENCE", TokenType.DIFFERENCE],
+            ["CLASS", TokenType.CLASS],
+            ["ENDCLASS", TokenType.ENDCLASS],
+            ["INHERITS", TokenType.INHERITS],
+            ["PUBLIC", TokenType.PUBLIC],
+            ["PRIVATE", TokenType.PRIVATE],
+            ["SEEK", TokenType.SEEK],
+            ["GETRECORD", TokenType.GETRECORD],
+            ["PUTRECORD", TokenType.PUTRECORD],
+            ["RANDOM", TokenType.RANDOM],
+            ["DATE", "DATE"]    // a type name only where a type is expected
+        ]);
     }
 
     peek() {
         return this.text[this.pos] ?? null;
     }
 
+    // Report a problem covering the text from the token start to here
+    error(code, message, hint = null) {
+        this.diagnostics.push(new Diagnostic({
+            code,
+            phase: Phase.LEX,
+            message,
+            hint,
+            range: { line: this.startLine, col: this.startCol, endLine: this.line, endCol: this.col }
+        }));
+    }
+
     advance() {
         const ch = this.peek();
         this.pos++;
@@ -82,8 +144,21 @@ class Lexer {
         return ch;
     }
 
+    // Tokens span from where tokenize() marked the start to the current position
+    markStart() {
+        this.startLine = this.line;
+        this.startCol = this.col;
+    }
+
     token(type, lexeme) {
-        return { type, lexeme, line: this.line, col: this.col };
+        return {
+            type,
+            lexeme,
+            line: this.startLine,
+            col: this.startCol,
+            endLine: this.line,
+            endCol: this.col
+        };
     }
 
     skipWhitespace() {
@@ -120,6 +195,28 @@ class Lexer {
         return this.token(TokenType.INTEGER_LITERAL, text);
     }
 
+    // -------------------------------- DATES --------------------------------
+    // dd/mm/yyyy with no spaces is a DATE literal, not two divisions.
+    // The lexeme is normalised to two-digit day and month: 5/1/2024 -> 05/01/2024
+
+    isDateAhead() {
+        return /^\d{1,2}\/\d{1,2}\/\d{4}(?![\d./])/.test(this.text.slice(this.pos, this.pos + 11));
+    }
+
+    readDate() {
+        let text = "";
+        while (this.peek() !== null && /[0-9/]/.test(this.peek())) {
+            text += this.advance();
+        }
+
+        const date = DateValue.parse(text);
+        if (!date) {
+            this.error(DiagnosticCode.INVALID_DATE, `'${text}' is not a valid date`);
+            return this.token(TokenType.DATE_LITERAL, text);
+        }
+        return this.token(TokenType.DATE_LITERAL, date.toString());
+    }
+
     // ---------------------------- IDENTIFIERS / KEYWORDS ----------------------------
 
     readIdentifier() {
@@ -135,23 +232,36 @@ class Lexer {
             return this.token(this.keywords.get(upper), upper);
         }
 
-        return this.token(TokenType.IDENTIFIER, text);
+        const token = this.token(TokenType.IDENTIFIER, text);
+        if (this.contextualKeywords.has(upper)) {
+            token.keyword = this.contextualKeywords.get(upper);
+        }
+        return token;
     }
 
     // -------------------------------- STRINGS --------------------------------
+    // "Hello" is a STRING literal; 'A' is a CHAR literal, which must hold
+    // exactly one character.
 
     readString(quoteChar) {
+        const [closers, straight] = QUOTES[quoteChar];
         this.advance(); // opening quote
 
         let out = "";
+        let closed = false;
 
         while (true) {
             const c = this.peek();
 
-            if (c === null) break;
+            // Strings cannot run past the end of the line
+            if (c === null || c === "\n") {
+                this.error(DiagnosticCode.UNTERMINATED_STRING, `Unterminated string: missing closing ${straight}`);
+                break;
+            }
 
-            if (c === quoteChar) {
+            if (closers.includes(c)) {
                 this.advance();
+                closed = true;
                 break;
             }
 
@@ -167,7 +277,14 @@ class Lexer {
             }
         }
 
-        return this.token(TokenType.STRING_LITERAL, out);
+        if (straight === '"') return this.token(TokenType.STRING_LITERAL, out);
+
+        if (closed && out.length !== 1) {
+            this.error(DiagnosticCode.INVALID_CHAR,
+                `Invalid CHAR literal '${out}': a CHAR holds exactly one character`,
+                out.length > 1 ? `Use double quotes for a STRING: "${out}"` : null);
+        }
+        return this.token(TokenType.CHAR_LITERAL, out);
     }
 
     // ---------------------------- MAIN TOKENIZER ----------------------------
@@ -180,11 +297,12 @@ class Lexer {
             this.skipComment();
             this.skipWhitespace();
 
+            this.markStart();
             const c = this.peek();
             if (c === null) break;
 
-            // Strings (double or single quotes)
-            if (c === '"' || c === "'") {
+            // Strings and CHARs (double or single quotes, straight or curly)
+            if (QUOTES[c]) {
                 tokens.push(this.readString(c));
                 continue;
             }
@@ -195,9 +313,9 @@ class Lexer {
                 continue;
             }
 
-            // Numbers
+            // Dates and numbers
             if (/[0-9]/.test(c)) {
-                tokens.push(this.readNumber());
+                tokens.push(this.isDateAhead() ? this.readDate() : this.readNumber());
                 continue;
             }
 
@@ -211,27 +329,34 @@ class Lexer {
 
             // Operators (multi-char)
             if (this.text.startsWith("<-", this.pos)) {
-                tokens.push(this.token(TokenType.ASSIGN, "<-"));
                 this.pos += 2;
                 this.col += 2;
+                tokens.push(this.token(TokenType.ASSIGN, "<-"));
                 continue;
             }
             if (this.text.startsWith("<=", this.pos)) {
-                tokens.push(this.token(TokenType.LE, "<="));
                 this.pos += 2;
                 this.col += 2;
+                tokens.push(this.token(TokenType.LE, "<="));
                 continue;
             }
             if (this.text.startsWith(">=", this.pos)) {
-                tokens.push(this.token(TokenType.GE, ">="));
                 this.pos += 2;
                 this.col += 2;
+                tokens.push(this.token(TokenType.GE, ">="));
                 continue;
             }
             if (this.text.startsWith("<>", this.pos)) {
-                tokens.push(this.token(TokenType.NE, "<>"));
                 this.pos += 2;
                 this.col += 2;
+                tokens.push(this.token(TokenType.NE, "<>"));
+                continue;
+            }
+
+            if (OPERATOR_GLYPHS[c]) {
+                const [type, lexeme] = OPERATOR_GLYPHS[c];
+                this.advance();
+                tokens.push(this.token(type, lexeme));
                 continue;
             }
 
@@ -252,16 +377,18 @@ class Lexer {
                 "[": TokenType.LBRACKET,
                 "]": TokenType.RBRACKET,
                 "&": TokenType.AMPERSAND,
+                "@": TokenType.AT,
                 ".": TokenType.DOT
             };
 
             if (single[c]) {
-                tokens.push(this.token(single[c], c));
                 this.advance();
+                tokens.push(this.token(single[c], c));
                 continue;
             }
 
-            throw new Error(`Unknown character '${c}' at ${this.line}:${this.col}`);
+            this.advance();
+            this.error(DiagnosticCode.UNKNOWN_CHARACTER, `Unknown character '${c}'`);
         }
 
         tokens.push(this.token(TokenType.EOF, ""));
@@ -6,11 +6,16 @@
 // Performs simple optimizations:
 //   - Constant folding:  T0 = 2 + 3   →   T0 = 5
 //   - Removes dead temporaries
+//
+// The optional `spans` array (one source span per instruction, see
+// IRGenerator) is kept in step with the instructions; read it back from
+// `this.spans` after optimize().
 
 class Optimizer {
 
-    constructor(instructions) {
+    constructor(instructions, spans = []) {
         this.instructions = instructions;
+        this.spans = spans;
     }
 
     // ------------------------------------------
@@ -26,19 +31,24 @@ class Optimizer {
             const op = parts[3];
             const right = parts[4];
 
-            // Check numeric constants
-            if (!isNaN(left) && !isNaN(right)) {
+            // Check numeric constants. REAL constants are written with a
+            // decimal point, and the folded result keeps its type (see
+            // Runtime.resultType): 6 / 3 folds to 2.0, 2 * 3 to 6
+            // Division by zero is left for the runtime to report
+            if (!isNaN(left) && !isNaN(right) && !(["/", "DIV", "MOD"].includes(op) && parseFloat(right) === 0)) {
                 const a = parseFloat(left);
                 const b = parseFloat(right);
+                const real = this.isRealConstant(left) || this.isRealConstant(right);
+                const t = parts[0];
 
                 switch (op) {
-                    case "+": return `${parts[0]} = ${a + b}`;
-                    case "-": return `${parts[0]} = ${a - b}`;
-                    case "*": return `${parts[0]} = ${a * b}`;
-                    case "/": return `${parts[0]} = ${a / b}`;       // Real division
-                    case "DIV": return `${parts[0]} = ${Math.trunc(a / b)}`; // Integer division
-                    case "MOD": return `${parts[0]} = ${a % b}`;     // Modulo
-                    case "^": return `${parts[0]} = ${Math.pow(a, b)}`;
+                    case "+": return `${t} = ${this.formatNumber(a + b, real)}`;
+                    case "-": return `${t} = ${this.formatNumber(a - b, real)}`;
+                    case "*": return `${t} = ${this.formatNumber(a * b, real)}`;
+                    case "/": return `${t} = ${this.formatNumber(a / b, true)}`;          // Real division
+                    case "DIV": return `${t} = ${Math.trunc(a / b)}`;                     // Integer division
+                    case "MOD": return `${t} = ${this.formatNumber(a % b, real)}`;        // Modulo
+                    case "^": return `${t} = ${this.formatNumber(Math.pow(a, b), real || b < 0)}`;
                 }
             }
         }
@@ -46,6 +56,16 @@ class Optimizer {
         return instr;
     }
 
+    isRealConstant(text) {
+        return /[.eE]/.test(text);
+    }
+
+    formatNumber(value, real) {
+        const text = String(value);
+        if (!real || /[.eE]|Infinity|NaN/.test(text)) return text;
+        return `${text}.0`;
+    }
+
     // ------------------------------------------
     // DEAD CODE REMOVAL
     // ------------------------------------------
@@ -71,22 +91,24 @@ class Optimizer {
 
         // Keep only assignments where the target temp is actually used
         const result = [];
+        const resultSpans = [];
 
-        for (const line of instructions) {
+        instructions.forEach((line, i) => {
             const parts = line.split(" ");
 
             if (parts.length >= 3 && /^T\d+$/.test(parts[0]) && parts[1] === "=") {
                 const temp = parts[0];
 
-                if (used.has(temp)) {
-                    result.push(line);
+                if (!used.has(temp)) {
+                    return; // dead temp, remove
                 }
-                // else: dead temp, remove
-            } else {
-                result.push(line);
             }
-        }
 
+            result.push(line);
+            resultSpans.push(this.spans[i] ?? null);
+        });
+
+        this.spans = resultSpans;
         return result;
     }
 
@@ -1,12 +1,43 @@
 // ============================================================
 // PARSER (RECURSIVE DESCENT)
 // ============================================================
-// Depends on: tokens.js (TokenType), ast.js (AST)
+// Depends on: tokens.js (TokenType), ast.js (AST), diagnostics.js
+
+class ParseError extends DiagnosticError {
+    constructor(message, code = DiagnosticCode.UNEXPECTED_TOKEN, hint = null) {
+        super(Phase.PARSE, message, code, hint);
+    }
+}
+
+
+// Tokens that can begin a statement, and tokens that close (or split) a
+// block. Panic-mode recovery skips ahead to one of these after an error.
+const STATEMENT_START_TOKENS = new Set([
+    TokenType.TYPE, TokenType.DECLARE, TokenType.CONSTANT,
+    TokenType.OUTPUT, TokenType.INPUT,
+    TokenType.IF, TokenType.WHILE, TokenType.FOR, TokenType.REPEAT, TokenType.CASE,
+    TokenType.PROCEDURE, TokenType.FUNCTION, TokenType.CALL, TokenType.RETURN,
+    TokenType.OPENFILE, TokenType.READFILE, TokenType.WRITEFILE, TokenType.CLOSEFILE
+]);
+
+// Operators that can start a relational CASE guard, e.g. ">= 90 :"
+const CASE_GUARD_TOKENS = new Set([
+    TokenType.LT, TokenType.GT, TokenType.LE, TokenType.GE, TokenType.NE, TokenType.EQ
+]);
+
+const BLOCK_END_TOKENS = new Set([
+    TokenType.ENDIF, TokenType.ELSE,
+    TokenType.ENDWHILE, TokenType.NEXT, TokenType.UNTIL,
+    TokenType.ENDCASE, TokenType.OTHERWISE,
+    TokenType.ENDPROCEDURE, TokenType.ENDFUNCTION, TokenType.ENDTYPE
+]);
+
 
 class Parser {
     constructor(tokens) {
         this.tokens = tokens;
         this.pos = 0;
+        this.diagnostics = [];
     }
 
     peek() {
@@ -26,26 +57,154 @@ class Parser {
         return false;
     }
 
+    // Contextual keywords (see Lexer.contextualKeywords) are identifier
+    // tokens; `keyword` says which keyword the word can stand for
+    isKeyword(type) {
+        return this.peek().keyword === type;
+    }
+
+    matchKeyword(type) {
+        if (!this.isKeyword(type)) return false;
+        this.advance();
+        return true;
+    }
+
+    // A contextual keyword used as an operator must follow its left
+    // operand on the same line: on a new line it starts a statement
+    isOperatorKeyword(type) {
+        return this.isKeyword(type) && this.peek().line === this.tokens[this.pos - 1].line;
+    }
+
+    // DEFINE, CLASS, SEEK, GETRECORD and PUTRECORD start a statement when
+    // a name (or a filename) follows them on the same line; otherwise they
+    // are variables: Class <- 3
+    isKeywordStatement(t) {
+        const next = this.tokens[this.pos + 1];
+        const statements = [TokenType.DEFINE, TokenType.CLASS, TokenType.SEEK, TokenType.GETRECORD, TokenType.PUTRECORD];
+        return statements.includes(t.keyword) &&
+            next.line === t.line &&
+            (next.type === TokenType.IDENTIFIER || next.type === TokenType.STRING_LITERAL);
+    }
+
+    // ENDCLASS on a line of its own; otherwise it is a variable
+    atEndClass() {
+        const t = this.peek();
+        const next = this.tokens[this.pos + 1];
+        return t.keyword === TokenType.ENDCLASS && (!next || next.type === TokenType.EOF || next.line !== t.line);
+    }
+
+    // PUBLIC or PRIVATE before a method or attribute name on the same line;
+    // otherwise it is a variable: Private <- TRUE
+    atAccessKeyword() {
+        const t = this.peek();
+        const next = this.tokens[this.pos + 1];
+        return (t.keyword === TokenType.PUBLIC || t.keyword === TokenType.PRIVATE) && next.line === t.line &&
+            [TokenType.IDENTIFIER, TokenType.PROCEDURE, TokenType.FUNCTION].includes(next.type);
+    }
+
     expect(type, message) {
         const t = this.peek();
         if (t.type !== type) {
-            throw new Error(`${message} at line ${t.line}, col ${t.col}. Found: ${t.type}`);
+            throw this.error(`${message}. Found: ${t.type}`, t, DiagnosticCode.EXPECTED_TOKEN);
         }
         return this.advance();
     }
 
+    // Closing keywords (and THEN / DO) are checked without throwing: a
+    // missing one is reported, but the construct and its body are kept.
+    expectSoft(type, message) {
+        if (this.match(type)) return true;
+        const t = this.peek();
+        this.diagnostics.push(
+            this.error(`${message}. Found: ${t.type}`, t, DiagnosticCode.EXPECTED_TOKEN).toDiagnostic()
+        );
+        return false;
+    }
+
+    // Build a ParseError located at token `t`
+    error(message, t, code = DiagnosticCode.UNEXPECTED_TOKEN, hint = null) {
+        return new ParseError(message, code, hint).locate(t);
+    }
+
+    // Give a node the span from `start` to the last token consumed
+    finish(node, start) {
+        const end = this.tokens[this.pos - 1] || start;
+        return AST.withSpan(node, start, end);
+    }
+
+    // ============================================================
+    // ERROR RECOVERY
+    // ============================================================
+
+    // ENDCLASS, PUBLIC and PRIVATE (contextual) also end a method's body
+    atBlockEnd() {
+        const type = this.peek().type;
+        return type === TokenType.EOF || BLOCK_END_TOKENS.has(type) || this.atEndClass() || this.atAccessKeyword();
+    }
+
+    // Parse statements until a block-closing keyword or EOF. Stopping at
+    // any closing keyword (not just the expected one) means a missing
+    // ENDIF inside a WHILE is reported without swallowing the ENDWHILE.
+    parseBlock(stopAt = () => false) {
+        const statements = [];
+        while (!this.atBlockEnd() && !stopAt()) {
+            const stmt = this.parseStatementOrRecover();
+            if (stmt) statements.push(stmt);
+        }
+        return statements;
+    }
+
+    // Parse one statement; on a syntax error record it, resynchronise
+    // and return null so the caller can carry on with the next statement
+    parseStatementOrRecover() {
+        const startPos = this.pos;
+        try {
+            return this.parseStatement();
+        } catch (err) {
+            if (!(err instanceof ParseError)) throw err;
+            this.diagnostics.push(err.toDiagnostic());
+            this.synchronize(startPos);
+            return null;
+        }
+    }
+
+    // Panic mode: skip tokens up to the next statement keyword, block
+    // terminator, or identifier at the start of a line (an assignment)
+    synchronize(startPos) {
+        // Always make progress past a token that cannot start a statement
+        if (this.pos === startPos && this.peek().type !== TokenType.EOF) {
+            this.advance();
+        }
+
+        while (this.peek().type !== TokenType.EOF) {
+            const t = this.peek();
+            if (STATEMENT_START_TOKENS.has(t.type) || BLOCK_END_TOKENS.has(t.type)) return;
+            if (t.type === TokenType.IDENTIFIER && t.line > this.tokens[this.pos - 1].line) return;
+            this.advance();
+        }
+    }
+
     // ============================================================
     // ENTRY POINT
     // ============================================================
 
+    // Always returns a Program; syntax errors end up in `diagnostics`
+    // and the statements that did parse are kept.
     parseProgram() {
+        const start = this.peek();
         const statements = [];
 
         while (this.peek().type !== TokenType.EOF) {
-            statements.push(this.parseStatement());
+            if (this.atBlockEnd()) {
+                // A closing keyword with nothing open
+                const t = this.advance();
+                this.diagnostics.push(this.error(`Unexpected ${t.keyword || t.type} without a matching block`, t).toDiagnostic());
+                continue;
+            }
+            statements.push(...this.parseBlock());
         }
 
-        return AST.Program(statements);
+        return this.finish(AST.Program(statements), start);
     }
 
     // ============================================================
@@ -53,8 +212,11 @@ class Parser {
     // ============================================================
 
     parseStatement() {
-        const t = this.peek();
+        const start = this.peek();
+        return this.finish(this.parseStatementKind(start), start);
+    }
 
+    parseStatementKind(t) {
         switch (t.type) {
             case TokenType.TYPE:
                 return this.parseTypeDef();
@@ -66,6 +228,9 @@ class Parser {
                 return this.parseConstant();
 
             case TokenType.IDENTIFIER:
+                if (this.isKeywordStatement(t)) {
+                    return this.parseKeywordStatement(t);
+                }
                 return this.parseAssignment();
 
             case TokenType.OUTPUT:
@@ -114,7 +279,22 @@ class Parser {
                 return this.parseCloseFile();
 
             default:
-                throw new Error(`Unexpected token: ${t.type} at line ${t.line}`);
+                throw this.error(`Unexpected token: ${t.type}`, t);
+        }
+    }
+
+    parseKeywordStatement(t) {
+        switch (t.keyword) {
+            case TokenType.DEFINE:
+                return this.parseDefine();
+            case TokenType.CLASS:
+                return this.parseClass();
+            case TokenType.SEEK:
+                return this.parseSeek();
+            case TokenType.GETRECORD:
+                return this.parseGetRecord();
+            case TokenType.PUTRECORD:
+                return this.parsePutRecord();
         }
     }
 
@@ -125,38 +305,187 @@ class Parser {
     //     DECLARE name : STRING
     //     DECLARE age  : INTEGER
     // ENDTYPE
+    //
+    // TYPE Season = (Spring, Summer, Autumn, Winter)
+    // TYPE TIntPointer = ^INTEGER
+    // TYPE LetterSet = SET OF CHAR
 
     parseTypeDef() {
         this.expect(TokenType.TYPE, "Expected TYPE");
         const name = this.expect(TokenType.IDENTIFIER, "Expected type name").lexeme;
+
+        if (this.match(TokenType.EQ)) {
+            if (this.match(TokenType.POWER)) {
+                return AST.PointerDef(name, this.parseTypeName());
+            }
+            if (this.matchKeyword(TokenType.SET)) {
+                this.expect(TokenType.OF, "Expected OF after SET");
+                return AST.SetDef(name, this.parseTypeName());
+            }
+            return this.parseEnumDef(name);
+        }
+
         const fields = [];
 
-        while (this.peek().type !== TokenType.ENDTYPE) {
+        while (!this.atBlockEnd()) {
             this.expect(TokenType.DECLARE, "Expected DECLARE before field name in TYPE definition");
             const fieldName = this.expect(TokenType.IDENTIFIER, "Expected field name").lexeme;
             this.expect(TokenType.COLON, "Expected ':' after field name");
-            const fieldTypeToken = this.advance();
-            const validBuiltins = ["INTEGER", "REAL", "STRING", "BOOLEAN", "CHAR"];
-            let fieldType;
-            if (validBuiltins.includes(fieldTypeToken.type)) {
-                fieldType = fieldTypeToken.type;
-            } else if (fieldTypeToken.type === TokenType.IDENTIFIER) {
-                fieldType = fieldTypeToken.lexeme;
-            } else {
-                throw new Error(`Invalid field type '${fieldTypeToken.lexeme}' in TYPE definition at line ${fieldTypeToken.line}`);
+
+            // Fields may be arrays: DECLARE Lines : ARRAY[1:10] OF STRING
+            let dimensions = null;
+            if (this.match(TokenType.ARRAY)) {
+                dimensions = this.parseArrayDimensions();
             }
-            fields.push({ name: fieldName, type: fieldType });
+            const fieldType = this.parseTypeName();
+            fields.push({ name: fieldName, type: fieldType, dimensions });
         }
 
-        this.expect(TokenType.ENDTYPE, "Expected ENDTYPE");
+        this.expectSoft(TokenType.ENDTYPE, "Expected ENDTYPE");
         return AST.TypeDef(name, fields);
     }
 
+    // Enumerated type: the values in order, after "TYPE Name ="
+    parseEnumDef(name) {
+        this.expect(TokenType.LPAREN, "Expected '(' before the values of an enumerated type");
+
+        const values = [this.expect(TokenType.IDENTIFIER, "Expected enumerated value").lexeme];
+        while (this.match(TokenType.COMMA)) {
+            values.push(this.expect(TokenType.IDENTIFIER, "Expected enumerated value").lexeme);
+        }
+
+        this.expect(TokenType.RPAREN, "Expected ')' after enumerated values");
+        return AST.EnumDef(name, values);
+    }
+
+    // ------------------------------------------------------------
+    // CLASS
+    // ------------------------------------------------------------
+    // CLASS Cat INHERITS Pet
+    //     PRIVATE Breed : STRING
+    //     PUBLIC PROCEDURE NEW(GivenName : STRING, GivenBreed : STRING)
+    //         SUPER.NEW(GivenName)
+    //         Breed <- GivenBreed
+    //     ENDPROCEDURE
+    //     PUBLIC FUNCTION GetBreed() RETURNS STRING
+    //         RETURN Breed
+    //     ENDFUNCTION
+    // ENDCLASS
+    //
+    // Members without PUBLIC or PRIVATE are PUBLIC. An attribute may also
+    // be written DECLARE Breed : STRING.
+
+    parseClass() {
+        this.advance(); // CLASS
+        const name = this.expect(TokenType.IDENTIFIER, "Expected class name").lexeme;
+
+        let parent = null;
+        if (this.matchKeyword(TokenType.INHERITS)) {
+            parent = this.expect(TokenType.IDENTIFIER, "Expected class name after INHERITS").lexeme;
+        }
+
+        const attributes = [];
+        const methods = [];
+
+        while (!this.atEndClass() && this.peek().type !== TokenType.EOF) {
+            const startPos = this.pos;
+            try {
+                this.parseClassMember(attributes, methods);
+            } catch (err) {
+                if (!(err instanceof ParseError)) throw err;
+                this.diagnostics.push(err.toDiagnostic());
+                this.synchronizeMember(startPos);
+            }
+        }
+
+        if (this.atEndClass()) {
+            this.advance();
+        } else {
+            this.expectSoft(TokenType.ENDCLASS, "Expected ENDCLASS");
+        }
+        return AST.Class(name, parent, attributes, methods);
+    }
+
+    // After a syntax error in a class, skip to the next member: past the
+    // end of a method that failed, or to PUBLIC, PRIVATE, DECLARE and so on
+    synchronizeMember(startPos) {
+        if (this.pos === startPos && this.peek().type !== TokenType.EOF) {
+            this.advance();
+        }
+
+        const memberStart = [TokenType.DECLARE, TokenType.PROCEDURE, TokenType.FUNCTION, TokenType.EOF];
+        while (!memberStart.includes(this.peek().type) && !this.atAccessKeyword() && !this.atEndClass()) {
+            const t = this.advance();
+            if (t.type === TokenType.ENDPROCEDURE || t.type === TokenType.ENDFUNCTION) return;
+        }
+    }
+
+    // One attribute or method, added to the class's lists
+    parseClassMember(attributes, methods) {
+        const start = this.peek();
+
+        let access = "PUBLIC";
+        if (this.atAccessKeyword()) {
+            access = this.advance().keyword;
+        }
+
+        const t = this.peek();
+        if (t.type === TokenType.PROCEDURE || t.type === TokenType.FUNCTION) {
+            const method = t.type === TokenType.PROCEDURE ? this.parseProcedure() : this.parseFunction();
+            method.access = access;
+            methods.push(this.finish(method, start));
+            return;
+        }
+
+        this.match(TokenType.DECLARE);
+        const name = this.expect(TokenType.IDENTIFIER, "Expected an attribute or method").lexeme;
+        this.expect(TokenType.COLON, "Expected ':' after attribute name");
+
+        let dimensions = null;
+        if (this.match(TokenType.ARRAY)) {
+            dimensions = this.parseArrayDimensions();
+        }
+        attributes.push({ name, type: this.parseTypeName(), dimensions, access });
+    }
+
+    // ------------------------------------------------------------
+    // DEFINE (a set variable with its first elements)
+    // ------------------------------------------------------------
+    // DEFINE Vowels ('A', 'E', 'I', 'O', 'U') : LetterSet
+
+    parseDefine() {
+        this.advance(); // DEFINE
+        const name = this.expect(TokenType.IDENTIFIER, "Expected set name").lexeme;
+
+        const open = this.expect(TokenType.LPAREN, "Expected '(' before the elements of the set");
+        const values = this.parseElements(TokenType.RPAREN);
+        this.expect(TokenType.RPAREN, "Expected ')' after the elements of the set");
+        const elements = this.finish(AST.SetLiteral(values), open);
+
+        this.expect(TokenType.COLON, "Expected ':' after the elements of the set");
+        return AST.Define(name, elements, this.parseTypeName());
+    }
+
+    // Comma-separated expressions up to (not including) the closing token;
+    // there may be none
+    parseElements(closing) {
+        const elements = [];
+        if (this.peek().type === closing) return elements;
+
+        elements.push(this.parseExpression());
+        while (this.match(TokenType.COMMA)) {
+            elements.push(this.parseExpression());
+        }
+        return elements;
+    }
+
     // ------------------------------------------------------------
     // DECLARE
     // ------------------------------------------------------------
     // DECLARE X : INTEGER
     // DECLARE Numbers : ARRAY[1:10] OF INTEGER
+    // DECLARE Cube : ARRAY[1:3,1:4,1:5] OF REAL
+    // DECLARE Scores : ARRAY[1:MaxSize * 2] OF INTEGER
 
     parseDeclare() {
         this.expect(TokenType.DECLARE, "Expected DECLARE");
@@ -168,52 +497,51 @@ class Parser {
         // Check for ARRAY keyword
         if (this.peek().type === TokenType.ARRAY) {
             this.advance(); // consume ARRAY
-            this.expect(TokenType.LBRACKET, "Expected '[' after ARRAY");
-
-            const dimensions = [];
+            const dimensions = this.parseArrayDimensions();
 
-            // First dimension
-            const start1 = parseInt(this.expect(TokenType.INTEGER_LITERAL, "Expected start index").lexeme);
-            this.expect(TokenType.COLON, "Expected ':' in array range");
-            const end1 = parseInt(this.expect(TokenType.INTEGER_LITERAL, "Expected end index").lexeme);
-            dimensions.push({ start: start1, end: end1 });
-
-            // Check for second dimension (2D array)
-            if (this.match(TokenType.COMMA)) {
-                const start2 = parseInt(this.expect(TokenType.INTEGER_LITERAL, "Expected start index").lexeme);
-                this.expect(TokenType.COLON, "Expected ':' in array range");
-                const end2 = parseInt(this.expect(TokenType.INTEGER_LITERAL, "Expected end index").lexeme);
-                dimensions.push({ start: start2, end: end2 });
-            }
+            // Element type — built-in or user-defined type
+            return AST.Declare(name, this.parseTypeName(), dimensions);
+        } else {
+            // Regular variable — built-in or user-defined type
+            return AST.Declare(name, this.parseTypeName(), null);
+        }
+    }
 
-            this.expect(TokenType.RBRACKET, "Expected ']' after array dimensions");
-            this.expect(TokenType.OF, "Expected OF after array dimensions");
+    // ARRAY DIMENSIONS: [1:10] or [1:3,1:4,1:5] followed by OF (ARRAY already consumed).
+    // The bounds are expressions here; the semantic analyser checks that they
+    // are constant and records their values (startValue / endValue).
+    parseArrayDimensions() {
+        this.expect(TokenType.LBRACKET, "Expected '[' after ARRAY");
 
-            const typeToken = this.advance();
-            const validTypes = ["INTEGER", "REAL", "STRING", "BOOLEAN", "CHAR"];
+        const dimensions = [];
+        do {
+            const start = this.parseExpression();
+            this.expect(TokenType.COLON, "Expected ':' in array range");
+            const end = this.parseExpression();
+            dimensions.push({ start, end });
+        } while (this.match(TokenType.COMMA));
 
-            if (!validTypes.includes(typeToken.type)) {
-                throw new Error(`Invalid data type: ${typeToken.lexeme}`);
-            }
+        this.expect(TokenType.RBRACKET, "Expected ']' after array dimensions");
+        this.expect(TokenType.OF, "Expected OF after array dimensions");
+        return dimensions;
+    }
 
-            return AST.Declare(name, typeToken.type, dimensions);
-        } else {
-            // Regular variable — built-in or user-defined type
-            const typeToken = this.advance();
-            const validBuiltins = ["INTEGER", "REAL", "STRING", "BOOLEAN", "CHAR"];
-
-            let typeName;
-            if (validBuiltins.includes(typeToken.type)) {
-                typeName = typeToken.type;
-            } else if (typeToken.type === TokenType.IDENTIFIER) {
-                // User-defined type name
-                typeName = typeToken.lexeme;
-            } else {
-                throw new Error(`Invalid data type: ${typeToken.lexeme} at line ${typeToken.line}`);
-            }
+    // TYPE NAME: a built-in type keyword or the name of a user-defined TYPE
+    parseTypeName() {
+        const typeToken = this.advance();
+        const validBuiltins = ["INTEGER", "REAL", "STRING", "BOOLEAN", "CHAR", "DATE"];
 
-            return AST.Declare(name, typeName, null);
+        if (validBuiltins.includes(typeToken.type)) {
+            return typeToken.type;
+        }
+        if (typeToken.keyword === "DATE") {
+            return "DATE";
         }
+        if (typeToken.type === TokenType.IDENTIFIER) {
+            // User-defined type name
+            return typeToken.lexeme;
+        }
+        throw this.error(`Invalid data type: ${typeToken.lexeme}`, typeToken, DiagnosticCode.INVALID_TYPE);
     }
 
     // ------------------------------------------------------------
@@ -228,7 +556,7 @@ class Parser {
 
         this.expect(TokenType.EQ, "Expected '=' after constant name");
 
-        // Parse the literal value
+        // Parse the literal value (the span is attached once it is known)
         const t = this.peek();
         let value;
         let dataType;
@@ -249,6 +577,16 @@ class Parser {
                 value = AST.StringLiteral(t.lexeme);
                 dataType = "STRING";
                 break;
+            case TokenType.CHAR_LITERAL:
+                this.advance();
+                value = AST.CharLiteral(t.lexeme);
+                dataType = "CHAR";
+                break;
+            case TokenType.DATE_LITERAL:
+                this.advance();
+                value = AST.DateLiteral(t.lexeme);
+                dataType = "DATE";
+                break;
             case TokenType.IDENTIFIER:
                 if (t.lexeme === "TRUE" || t.lexeme === "FALSE") {
                     this.advance();
@@ -256,29 +594,29 @@ class Parser {
                     dataType = "BOOLEAN";
                     break;
                 }
-                // fall through
-            default:
-                throw new Error(`CONSTANT value must be a literal at line ${t.line}`);
-        }
-
-        // Handle negative number literals
-        if (t.type === TokenType.MINUS) {
-            this.advance();
-            const num = this.peek();
-            if (num.type === TokenType.INTEGER_LITERAL) {
+                throw this.error("CONSTANT value must be a literal", t, DiagnosticCode.INVALID_CONSTANT);
+            case TokenType.MINUS: {
+                // Negative number literal
                 this.advance();
-                value = AST.IntegerLiteral(-parseInt(num.lexeme));
-                dataType = "INTEGER";
-            } else if (num.type === TokenType.REAL_LITERAL) {
-                this.advance();
-                value = AST.RealLiteral(-parseFloat(num.lexeme));
-                dataType = "REAL";
-            } else {
-                throw new Error(`CONSTANT value must be a literal at line ${num.line}`);
+                const num = this.peek();
+                if (num.type === TokenType.INTEGER_LITERAL) {
+                    this.advance();
+                    value = AST.IntegerLiteral(-parseInt(num.lexeme));
+                    dataType = "INTEGER";
+                } else if (num.type === TokenType.REAL_LITERAL) {
+                    this.advance();
+                    value = AST.RealLiteral(-parseFloat(num.lexeme));
+                    dataType = "REAL";
+                } else {
+                    throw this.error("CONSTANT value must be a literal", num, DiagnosticCode.INVALID_CONSTANT);
+                }
+                break;
             }
+            default:
+                throw this.error("CONSTANT value must be a literal", t, DiagnosticCode.INVALID_CONSTANT);
         }
 
-        return AST.Constant(name, dataType, value);
+        return AST.Constant(name, dataType, this.finish(value, t));
     }
 
     // ------------------------------------------------------------
@@ -288,40 +626,18 @@ class Parser {
     // Numbers[5] <- expression
 
     parseAssignment() {
-        const name = this.expect(TokenType.IDENTIFIER, "Expected identifier").lexeme;
-
-        // Check for field access: record.field <- expr
-        if (this.peek().type === TokenType.DOT) {
-            this.advance(); // consume .
-            const field = this.expect(TokenType.IDENTIFIER, "Expected field name after '.'").lexeme;
-            this.expect(TokenType.ASSIGN, "Expected '<-' for assignment");
-            const expr = this.parseExpression();
-            const node = AST.Assignment(name, expr, null);
-            node.field = field;
-            return node;
-        }
-
-        // Check for array index
-        let indices = null;
-        if (this.peek().type === TokenType.LBRACKET) {
-            this.advance(); // consume [
-            indices = [];
-
-            indices.push(this.parseExpression());
-
-            // Check for second index (2D array)
-            if (this.match(TokenType.COMMA)) {
-                indices.push(this.parseExpression());
-            }
+        const target = this.parseVariable();
 
-            this.expect(TokenType.RBRACKET, "Expected ']' after array index");
+        // A method call on its own line: MyCat.SetName("Tom"), SUPER.NEW(GivenName)
+        if (target.type === "MethodCall") {
+            return target;
         }
 
         this.expect(TokenType.ASSIGN, "Expected '<-' for assignment");
 
         const expr = this.parseExpression();
 
-        return AST.Assignment(name, expr, indices);
+        return AST.Assignment(target, expr);
     }
 
     // ------------------------------------------------------------
@@ -351,38 +667,12 @@ class Parser {
     // INPUT variable
     // INPUT Numbers[5]
     // INPUT record.field
+    // INPUT Students[i].Name
 
     parseInput() {
         this.expect(TokenType.INPUT, "Expected INPUT");
 
-        const name = this.expect(TokenType.IDENTIFIER, "Expected identifier").lexeme;
-
-        // Check for field access: INPUT record.field
-        if (this.peek().type === TokenType.DOT) {
-            this.advance(); // consume .
-            const field = this.expect(TokenType.IDENTIFIER, "Expected field name after '.'").lexeme;
-            const node = AST.Input(name, null);
-            node.field = field;
-            return node;
-        }
-
-        // Check for array index
-        let indices = null;
-        if (this.peek().type === TokenType.LBRACKET) {
-            this.advance(); // consume [
-            indices = [];
-
-            indices.push(this.parseExpression());
-
-            // Check for second index (2D array)
-            if (this.match(TokenType.COMMA)) {
-                indices.push(this.parseExpression());
-            }
-
-            this.expect(TokenType.RBRACKET, "Expected ']' after array index");
-        }
-
-        return AST.Input(name, indices);
+        return AST.Input(this.parseVariable());
     }
 
     // ------------------------------------------------------------
@@ -392,27 +682,50 @@ class Parser {
     parseIf() {
         this.expect(TokenType.IF, "Expected IF");
 
-        const condition = this.parseExpression();
+        const condition = this.parseHeader(() => this.parseExpression(), TokenType.THEN);
 
-        this.expect(TokenType.THEN, "Expected THEN after IF condition");
-
-        const thenStatements = [];
-        while (this.peek().type !== TokenType.ELSE &&
-               this.peek().type !== TokenType.ENDIF) {
-            thenStatements.push(this.parseStatement());
+        if (condition) {
+            this.expectSoft(TokenType.THEN, "Expected THEN after IF condition");
+        } else {
+            this.match(TokenType.THEN);
         }
 
+        const thenStatements = this.parseBlock();
+
         let elseStatements = [];
 
         if (this.match(TokenType.ELSE)) {
-            while (this.peek().type !== TokenType.ENDIF) {
-                elseStatements.push(this.parseStatement());
-            }
+            elseStatements = this.parseBlock();
         }
 
-        this.expect(TokenType.ENDIF, "Expected ENDIF");
+        this.expectSoft(TokenType.ENDIF, "Expected ENDIF");
+
+        return AST.If(condition || this.placeholder(), thenStatements, elseStatements);
+    }
+
+    // Parse a block header (an IF or WHILE condition, the FOR bounds) with
+    // `parse`. If it fails, the error is recorded, the rest of the line is
+    // skipped (up to `terminator`: THEN or DO) and null is returned. The
+    // caller then parses the body up to its own closing keyword, so one
+    // mistake in a header gives one error.
+    parseHeader(parse, terminator = null) {
+        const line = this.tokens[this.pos - 1].line;
+        try {
+            return parse();
+        } catch (err) {
+            if (!(err instanceof ParseError)) throw err;
+            this.diagnostics.push(err.toDiagnostic());
+            while (this.peek().type !== TokenType.EOF && this.peek().line === line &&
+                   this.peek().type !== terminator) {
+                this.advance();
+            }
+            return null;
+        }
+    }
 
-        return AST.If(condition, thenStatements, elseStatements);
+    // Stands in for a condition that failed to parse
+    placeholder() {
+        return this.finish(AST.BooleanLiteral(true), this.peek());
     }
 
     // ------------------------------------------------------------
@@ -422,19 +735,19 @@ class Parser {
     parseWhile() {
         this.expect(TokenType.WHILE, "Expected WHILE");
 
-        const condition = this.parseExpression();
-
-        this.expect(TokenType.DO, "Expected DO after WHILE condition");
+        const condition = this.parseHeader(() => this.parseExpression(), TokenType.DO);
 
-        const body = [];
-
-        while (this.peek().type !== TokenType.ENDWHILE) {
-            body.push(this.parseStatement());
+        if (condition) {
+            this.expectSoft(TokenType.DO, "Expected DO after WHILE condition");
+        } else {
+            this.match(TokenType.DO);
         }
 
-        this.expect(TokenType.ENDWHILE, "Expected ENDWHILE");
+        const body = this.parseBlock();
 
-        return AST.While(condition, body);
+        this.expectSoft(TokenType.ENDWHILE, "Expected ENDWHILE");
+
+        return AST.While(condition || this.placeholder(), body);
     }
 
     // ------------------------------------------------------------
@@ -447,36 +760,41 @@ class Parser {
     parseFor() {
         this.expect(TokenType.FOR, "Expected FOR");
 
-        const loopVar = this.expect(TokenType.IDENTIFIER, "Expected loop variable").lexeme;
-
-        this.expect(TokenType.ASSIGN, "Expected '<-' after loop variable");
+        let loopVar = null;
+        const bounds = this.parseHeader(() => {
+            loopVar = this.expect(TokenType.IDENTIFIER, "Expected loop variable").lexeme;
 
-        const start = this.parseExpression();
+            this.expect(TokenType.ASSIGN, "Expected '<-' after loop variable");
 
-        this.expect(TokenType.TO, "Expected TO in FOR loop");
+            const start = this.parseExpression();
 
-        const end = this.parseExpression();
+            this.expect(TokenType.TO, "Expected TO in FOR loop");
 
-        let step = AST.IntegerLiteral(1); // default step = 1
+            const end = this.parseExpression();
 
-        if (this.match(TokenType.STEP)) {
-            step = this.parseExpression();
-        }
+            let step = this.finish(AST.IntegerLiteral(1), this.peek()); // default step = 1
 
-        const body = [];
+            if (this.match(TokenType.STEP)) {
+                step = this.parseExpression();
+            }
+            return { start, end, step };
+        });
 
-        while (this.peek().type !== TokenType.NEXT) {
-            body.push(this.parseStatement());
-        }
+        const body = this.parseBlock();
 
-        this.expect(TokenType.NEXT, "Expected NEXT to close FOR loop");
+        const closed = this.expectSoft(TokenType.NEXT, "Expected NEXT to close FOR loop");
 
         // Optionally consume the loop variable name after NEXT (CIE syntax: NEXT I)
-        if (this.peek().type === TokenType.IDENTIFIER && this.peek().lexeme === loopVar) {
+        if (closed && this.peek().type === TokenType.IDENTIFIER && this.peek().lexeme === loopVar) {
             this.advance();
         }
 
-        return AST.For(loopVar, start, end, step, body);
+        if (!bounds) {
+            // Keep the body; without a loop variable it is checked as a WHILE
+            const one = this.finish(AST.IntegerLiteral(1), this.peek());
+            return loopVar ? AST.For(loopVar, one, one, one, body) : AST.While(this.placeholder(), body);
+        }
+        return AST.For(loopVar, bounds.start, bounds.end, bounds.step, body);
     }
 
     // ------------------------------------------------------------
@@ -486,14 +804,13 @@ class Parser {
     parseRepeat() {
         this.expect(TokenType.REPEAT, "Expected REPEAT");
 
-        const body = [];
+        const body = this.parseBlock();
 
-        while (this.peek().type !== TokenType.UNTIL) {
-            body.push(this.parseStatement());
+        if (!this.expectSoft(TokenType.UNTIL, "Expected UNTIL")) {
+            // No condition to parse; keep the body with a placeholder
+            return AST.Repeat(body, this.placeholder());
         }
 
-        this.expect(TokenType.UNTIL, "Expected UNTIL");
-
         const condition = this.parseExpression();
 
         return AST.Repeat(body, condition);
@@ -504,7 +821,9 @@ class Parser {
     // ------------------------------------------------------------
     // CASE OF <identifier>
     //     <value> : <statements>
-    //     <value> : <statements>
+    //     <value>, <value> : <statements>
+    //     <low> TO <high> : <statements>
+    //     >= <value> : <statements>
     //     OTHERWISE
     //         <statements>
     // ENDCASE
@@ -528,68 +847,90 @@ class Parser {
                     this.advance();
                 }
 
-                while (this.peek().type !== TokenType.ENDCASE) {
-                    otherwiseBranch.push(this.parseStatement());
-                }
+                otherwiseBranch = this.parseBlock();
                 break;
             }
 
+            // Some other block's closing keyword: ENDCASE is missing
+            if (this.atBlockEnd()) break;
+
             // Parse case value(s) — could be a literal or identifier
+            const branchStart = this.peek();
             const values = [];
-            values.push(this.parseExpression());
+            values.push(this.parseCaseValue());
 
             // Support comma-separated values: 1, 2, 3 : ...
             while (this.peek().type === TokenType.COMMA) {
                 this.advance();
-                values.push(this.parseExpression());
+                values.push(this.parseCaseValue());
             }
 
             this.expect(TokenType.COLON, "Expected ':' after CASE value");
 
             // Parse statements for this branch (until next value, OTHERWISE, or ENDCASE)
-            const stmts = [];
-            while (this.peek().type !== TokenType.ENDCASE &&
-                   this.peek().type !== TokenType.OTHERWISE &&
-                   !this.isCaseValue()) {
-                stmts.push(this.parseStatement());
-            }
+            const stmts = this.parseBlock(() => this.isCaseValue());
 
-            branches.push({ values, body: stmts });
+            branches.push(this.finish({ values, body: stmts }, branchStart));
         }
 
-        this.expect(TokenType.ENDCASE, "Expected ENDCASE");
+        this.expectSoft(TokenType.ENDCASE, "Expected ENDCASE");
 
         return AST.Case(expr, branches, otherwiseBranch);
     }
 
-    // Helper: heuristic to detect if current position is a new case value line
-    // A case value is a literal or identifier followed by ':'
+    // A single CASE label: a value, a range (low TO high) or a
+    // relational guard (< > <= >= <> = followed by a value)
+    parseCaseValue() {
+        const start = this.peek();
+
+        if (CASE_GUARD_TOKENS.has(start.type)) {
+            const op = this.advance().type;
+            const value = this.parseExpression();
+            return this.finish(AST.CaseGuard(op, value), start);
+        }
+
+        const value = this.parseExpression();
+
+        if (this.match(TokenType.TO)) {
+            const high = this.parseExpression();
+            return this.finish(AST.CaseRange(value, high), start);
+        }
+
+        return value;
+    }
+
+    // Helper: heuristic to detect if current position is a new case value line.
+    // A relational guard always starts a label; otherwise a label is a value
+    // (or list / range of values) followed by ':' before any '<-' on the line.
     isCaseValue() {
         const t = this.peek();
-        // Look ahead: if this is a literal/identifier and the next is ':'
+
+        if (CASE_GUARD_TOKENS.has(t.type)) return true;
+
         if (t.type === TokenType.INTEGER_LITERAL ||
             t.type === TokenType.REAL_LITERAL ||
             t.type === TokenType.STRING_LITERAL ||
-            t.type === TokenType.IDENTIFIER) {
-
-            // Save position
-            const savedPos = this.pos;
-            this.advance();
-
-            // Skip comma-separated values
-            while (this.peek().type === TokenType.COMMA) {
-                this.advance();
-                this.advance(); // skip next value
+            t.type === TokenType.CHAR_LITERAL ||
+            t.type === TokenType.IDENTIFIER ||
+            t.type === TokenType.MINUS ||
+            t.type === TokenType.LPAREN) {
+
+            for (let i = this.pos; i < this.tokens.length; i++) {
+                const next = this.tokens[i];
+                if (next.line !== t.line || next.type === TokenType.EOF) return false;
+                if (next.type === TokenType.ASSIGN) return false;
+                if (next.type === TokenType.COLON) return true;
             }
-
-            const isCase = this.peek().type === TokenType.COLON;
-            // Restore position
-            this.pos = savedPos;
-            return isCase;
         }
         return false;
     }
 
+    // A CASE label at the start of the next line ends the expression
+    // before it, so "-10 TO -1 :" is not read as "X - 10"
+    startsCaseLabel() {
+        return this.peek().line !== this.tokens[this.pos - 1].line && this.isCaseValue();
+    }
+
     // ------------------------------------------------------------
     // PROCEDURE
     // ------------------------------------------------------------
@@ -605,12 +946,9 @@ class Parser {
             this.expect(TokenType.RPAREN, "Expected ')' after parameter list");
         }
 
-        const body = [];
-        while (this.peek().type !== TokenType.ENDPROCEDURE) {
-            body.push(this.parseStatement());
-        }
+        const body = this.parseBlock();
 
-        this.expect(TokenType.ENDPROCEDURE, "Expected ENDPROCEDURE");
+        this.expectSoft(TokenType.ENDPROCEDURE, "Expected ENDPROCEDURE");
 
         return AST.Procedure(name, params, body);
     }
@@ -630,14 +968,11 @@ class Parser {
 
         this.expect(TokenType.RETURNS, "Expected RETURNS");
 
-        const returnType = this.advance().type;
+        const returnType = this.parseTypeName();
 
-        const body = [];
-        while (this.peek().type !== TokenType.ENDFUNCTION) {
-            body.push(this.parseStatement());
-        }
+        const body = this.parseBlock();
 
-        this.expect(TokenType.ENDFUNCTION, "Expected ENDFUNCTION");
+        this.expectSoft(TokenType.ENDFUNCTION, "Expected ENDFUNCTION");
 
         return AST.Function(name, params, returnType, body);
     }
@@ -645,6 +980,8 @@ class Parser {
     // ------------------------------------------------------------
     // PARAMETER LIST (shared by PROCEDURE and FUNCTION)
     // ------------------------------------------------------------
+    // (BYREF Count : INTEGER, List : ARRAY OF INTEGER, S : StudentRecord)
+    // Array parameters take any array of the element type, whatever its bounds.
 
     parseParamList() {
         const params = [];
@@ -665,9 +1002,15 @@ class Parser {
 
             const paramName = this.expect(TokenType.IDENTIFIER, "Expected parameter name").lexeme;
             this.expect(TokenType.COLON, "Expected ':' after parameter name");
-            const paramType = this.advance().type;
 
-            params.push({ name: paramName, type: paramType, mode });
+            let isArray = false;
+            if (this.match(TokenType.ARRAY)) {
+                this.expect(TokenType.OF, "Expected OF after ARRAY in parameter type");
+                isArray = true;
+            }
+            const paramType = this.parseTypeName();
+
+            params.push({ name: paramName, type: paramType, mode, isArray });
         } while (this.match(TokenType.COMMA));
 
         return params;
@@ -680,8 +1023,18 @@ class Parser {
     parseCall() {
         this.expect(TokenType.CALL, "Expected CALL");
 
+        const start = this.peek();
         const name = this.expect(TokenType.IDENTIFIER, "Expected procedure/function name").lexeme;
 
+        // CALL MyCat.SetName("Tom"), CALL Pets[I].Speak()
+        if (this.peek().type === TokenType.DOT || this.peek().type === TokenType.LBRACKET) {
+            const call = this.parseAccessChain(this.finish(AST.Identifier(name), start), start);
+            if (call.type !== "MethodCall") {
+                throw this.error("Expected a method call, e.g. CALL MyCat.SetName(\"Tom\")", this.peek(), DiagnosticCode.EXPECTED_TOKEN);
+            }
+            return call;
+        }
+
         let args = [];
         if (this.match(TokenType.LPAREN)) {
             if (this.peek().type !== TokenType.RPAREN) {
@@ -711,7 +1064,7 @@ class Parser {
     // ------------------------------------------------------------
     // FILE HANDLING
     // ------------------------------------------------------------
-    // OPENFILE <filename> FOR READ | WRITE | APPEND
+    // OPENFILE <filename> FOR READ | WRITE | APPEND | RANDOM
 
     parseOpenFile() {
         this.expect(TokenType.OPENFILE, "Expected OPENFILE");
@@ -731,8 +1084,11 @@ class Parser {
         } else if (modeToken.type === TokenType.APPEND) {
             mode = "APPEND";
             this.advance();
+        } else if (modeToken.keyword === TokenType.RANDOM) {
+            mode = "RANDOM";
+            this.advance();
         } else {
-            throw new Error(`Expected READ, WRITE, or APPEND at line ${modeToken.line}`);
+            throw this.error("Expected READ, WRITE, APPEND or RANDOM", modeToken, DiagnosticCode.INVALID_FILE_MODE);
         }
 
         return AST.OpenFile(filename, mode);
@@ -746,9 +1102,7 @@ class Parser {
 
         this.expect(TokenType.COMMA, "Expected ',' after filename");
 
-        const variable = this.expect(TokenType.IDENTIFIER, "Expected variable name").lexeme;
-
-        return AST.ReadFile(filename, variable);
+        return AST.ReadFile(filename, this.parseVariable());
     }
 
     // WRITEFILE <filename>, <data>
@@ -773,6 +1127,39 @@ class Parser {
         return AST.CloseFile(filename);
     }
 
+    // SEEK <filename>, <address>
+    parseSeek() {
+        this.advance(); // SEEK
+
+        const filename = this.parseExpression();
+
+        this.expect(TokenType.COMMA, "Expected ',' after filename");
+
+        return AST.Seek(filename, this.parseExpression());
+    }
+
+    // GETRECORD <filename>, <variable>
+    parseGetRecord() {
+        this.advance(); // GETRECORD
+
+        const filename = this.parseExpression();
+
+        this.expect(TokenType.COMMA, "Expected ',' after filename");
+
+        return AST.GetRecord(filename, this.parseVariable());
+    }
+
+    // PUTRECORD <filename>, <variable>
+    parsePutRecord() {
+        this.advance(); // PUTRECORD
+
+        const filename = this.parseExpression();
+
+        this.expect(TokenType.COMMA, "Expected ',' after filename");
+
+        return AST.PutRecord(filename, this.parseVariable());
+    }
+
     // ============================================================
     // EXPRESSIONS (Standard precedence)
     // ============================================================
@@ -783,12 +1170,13 @@ class Parser {
 
     // OR: logical OR (lowest precedence for boolean)
     parseOr() {
+        const start = this.peek();
         let left = this.parseAnd();
 
         while (this.peek().type === TokenType.OR) {
             this.advance();
             const right = this.parseAnd();
-            left = AST.Binary("OR", left, right);
+            left = this.finish(AST.Binary("OR", left, right), start);
         }
 
         return left;
@@ -796,19 +1184,21 @@ class Parser {
 
     // AND: logical AND (higher than OR)
     parseAnd() {
+        const start = this.peek();
         let left = this.parseEquality();
 
         while (this.peek().type === TokenType.AND) {
             this.advance();
             const right = this.parseEquality();
-            left = AST.Binary("AND", left, right);
+            left = this.finish(AST.Binary("AND", left, right), start);
         }
 
         return left;
     }
 
-    // EQUALITY: =, <>, <, >, <=, >=
+    // EQUALITY: =, <>, <, >, <=, >=, IN (set membership)
     parseEquality() {
+        const start = this.peek();
         let left = this.parseTerm();
 
         const eqOps = [
@@ -817,42 +1207,55 @@ class Parser {
             TokenType.LE, TokenType.GE
         ];
 
-        while (eqOps.includes(this.peek().type)) {
-            const op = this.advance().type;
+        // A comparison operator at the start of a new line begins a CASE
+        // guard (">= 90 : ..."), it does not continue this expression
+        while ((eqOps.includes(this.peek().type) &&
+                this.peek().line === this.tokens[this.pos - 1].line) ||
+               this.isOperatorKeyword(TokenType.IN)) {
+            const token = this.advance();
+            const op = token.keyword || token.type;
             const right = this.parseTerm();
-            left = AST.Binary(op, left, right);
+            left = this.finish(AST.Binary(op, left, right), start);
         }
 
         return left;
     }
 
-    // TERM: +, -, & (string concatenation at same level)
+    // TERM: +, -, & (string concatenation at same level), UNION, DIFFERENCE
     parseTerm() {
+        const start = this.peek();
         let left = this.parseFactor();
 
-        while (this.peek().type === TokenType.PLUS ||
-               this.peek().type === TokenType.MINUS ||
-               this.peek().type === TokenType.AMPERSAND) {
-            const op = this.advance().type;
+        while ((this.peek().type === TokenType.PLUS ||
+                this.peek().type === TokenType.MINUS ||
+                this.peek().type === TokenType.AMPERSAND ||
+                this.isOperatorKeyword(TokenType.UNION) ||
+                this.isOperatorKeyword(TokenType.DIFFERENCE)) &&
+               !this.startsCaseLabel()) {
+            const token = this.advance();
+            const op = token.keyword || token.type;
             const right = this.parseFactor();
-            left = AST.Binary(op, left, right);
+            left = this.finish(AST.Binary(op, left, right), start);
         }
 
         return left;
     }
 
-    // FACTOR: *, /, DIV, MOD, ^
+    // FACTOR: *, /, DIV, MOD, ^, INTERSECT
     parseFactor() {
+        const start = this.peek();
         let left = this.parseUnary();
 
         while (this.peek().type === TokenType.MULTIPLY ||
                this.peek().type === TokenType.DIVIDE ||
                this.peek().type === TokenType.DIV ||
                this.peek().type === TokenType.MOD ||
-               this.peek().type === TokenType.POWER) {
-            const op = this.advance().type;
+               this.peek().type === TokenType.POWER ||
+               this.isOperatorKeyword(TokenType.INTERSECT)) {
+            const token = this.advance();
+            const op = token.keyword || token.type;
             const right = this.parseUnary();
-            left = AST.Binary(op, left, right);
+            left = this.finish(AST.Binary(op, left, right), start);
         }
 
         return left;
@@ -860,18 +1263,20 @@ class Parser {
 
     // UNARY: -expr, NOT expr
     parseUnary() {
+        const start = this.peek();
+
         // Handle NOT operator
         if (this.peek().type === TokenType.NOT) {
             this.advance();
             const operand = this.parseUnary();
-            return AST.Unary("NOT", operand);
+            return this.finish(AST.Unary("NOT", operand), start);
         }
 
         // Handle negation
         if (this.peek().type === TokenType.MINUS) {
             this.advance();
             const right = this.parseUnary();
-            return AST.Unary("NEGATE", right);
+            return this.finish(AST.Unary("NEGATE", right), start);
         }
 
         return this.parsePrimary();
@@ -884,66 +1289,76 @@ class Parser {
         switch (t.type) {
             case TokenType.INTEGER_LITERAL:
                 this.advance();
-                return AST.IntegerLiteral(parseInt(t.lexeme));
+                return this.finish(AST.IntegerLiteral(parseInt(t.lexeme)), t);
 
             case TokenType.REAL_LITERAL:
                 this.advance();
-                return AST.RealLiteral(parseFloat(t.lexeme));
+                return this.finish(AST.RealLiteral(parseFloat(t.lexeme)), t);
 
             case TokenType.STRING_LITERAL:
                 this.advance();
-                return AST.StringLiteral(t.lexeme);
+                return this.finish(AST.StringLiteral(t.lexeme), t);
+
+            case TokenType.CHAR_LITERAL:
+                this.advance();
+                return this.finish(AST.CharLiteral(t.lexeme), t);
+
+            case TokenType.DATE_LITERAL:
+                this.advance();
+                return this.finish(AST.DateLiteral(t.lexeme), t);
+
+            // Set literal: ["A", "E"], or [] for the empty set
+            case TokenType.LBRACKET: {
+                this.advance();
+                const elements = this.parseElements(TokenType.RBRACKET);
+                this.expect(TokenType.RBRACKET, "Expected ']' after the elements of the set");
+                return this.finish(AST.SetLiteral(elements), t);
+            }
 
             case TokenType.IDENTIFIER: {
                 const name = this.advance().lexeme;
 
                 // Check for boolean literals TRUE/FALSE
                 if (name === "TRUE" || name === "FALSE") {
-                    return AST.BooleanLiteral(name === "TRUE");
+                    return this.finish(AST.BooleanLiteral(name === "TRUE"), t);
                 }
 
-                // Check for array access
-                if (this.peek().type === TokenType.LBRACKET) {
-                    this.advance(); // consume [
-                    const indices = [];
-
-                    indices.push(this.parseExpression());
-
-                    // Check for second index (2D array)
-                    if (this.match(TokenType.COMMA)) {
-                        indices.push(this.parseExpression());
-                    }
+                if (name === "NULL") {
+                    return this.finish(AST.NullLiteral(), t);
+                }
 
-                    this.expect(TokenType.RBRACKET, "Expected ']' after array index");
-                    return AST.ArrayAccess(name, indices);
+                // NEW Cat("Tom"): a new object of a class
+                if (name === "NEW" && this.peek().type === TokenType.IDENTIFIER) {
+                    const className = this.advance().lexeme;
+                    const args = this.peek().type === TokenType.LPAREN ? this.parseArguments() : [];
+                    return this.finish(AST.New(className, args), t);
                 }
 
-                // Check for field access: record.field
-                if (this.peek().type === TokenType.DOT) {
-                    this.advance(); // consume .
-                    const field = this.expect(TokenType.IDENTIFIER, "Expected field name after '.'").lexeme;
-                    return AST.FieldAccess(name, field);
+                // Check for array access / field access / dereference: Students[i].Name, Ptr^
+                if (this.peek().type === TokenType.LBRACKET || this.peek().type === TokenType.DOT || this.isDerefCaret()) {
+                    return this.parseAccessChain(this.finish(AST.Identifier(name), t), t);
                 }
 
                 // Check for function call in expression context: Name(args)
-                if (this.peek().type === TokenType.LPAREN) {
-                    this.advance(); // consume (
-                    const args = [];
-
-                    if (this.peek().type !== TokenType.RPAREN) {
-                        args.push(this.parseExpression());
-                        while (this.match(TokenType.COMMA)) {
-                            args.push(this.parseExpression());
-                        }
-                    }
-
-                    this.expect(TokenType.RPAREN, "Expected ')' after function arguments");
-                    return AST.Call(name, args);
+                if (this.peek().type === TokenType.LPAREN && !this.startsCaseLabel()) {
+                    return this.finish(AST.Call(name, this.parseArguments()), t);
                 }
 
-                return AST.Identifier(name);
+                return this.finish(AST.Identifier(name), t);
             }
 
+            // DIV and MOD are operators, but also built-in functions: DIV(7, 2)
+            case TokenType.DIV:
+            case TokenType.MOD: {
+                const name = this.advance().type;
+                return this.finish(AST.Call(name, this.parseArguments()), t);
+            }
+
+            // @Var, @Scores[3], @Order.Customer
+            case TokenType.AT:
+                this.advance();
+                return this.finish(AST.AddressOf(this.parseVariable()), t);
+
             case TokenType.LPAREN:
                 this.advance();
                 const expr = this.parseExpression();
@@ -951,7 +1366,80 @@ class Parser {
                 return expr;
 
             default:
-                throw new Error(`Unexpected token in expression: ${t.type} (${t.lexeme}) at line ${t.line}`);
+                throw this.error(`Unexpected token in expression: ${t.type} (${t.lexeme})`, t);
         }
     }
+
+    // VARIABLE: a name followed by any chain of indexing, field access and
+    // dereference, e.g. Total, Scores[i], Order.Lines[2], Node^.Next^.Value.
+    // Used for assignment targets and the variables of INPUT and READFILE.
+    parseVariable() {
+        const t = this.expect(TokenType.IDENTIFIER, "Expected identifier");
+        return this.parseAccessChain(this.finish(AST.Identifier(t.lexeme), t), t);
+    }
+
+    parseAccessChain(node, start) {
+        while (true) {
+            if (this.peek().type === TokenType.LBRACKET) {
+                node = this.finish(AST.ArrayAccess(node, this.parseIndices()), start);
+            } else if (this.match(TokenType.DOT)) {
+                const field = this.expect(TokenType.IDENTIFIER, "Expected field name after '.'").lexeme;
+                // A method call ends the chain: MyCat.GetName()
+                if (this.peek().type === TokenType.LPAREN) {
+                    return this.finish(AST.MethodCall(node, field, this.parseArguments()), start);
+                }
+                node = this.finish(AST.FieldAccess(node, field), start);
+            } else if (this.isDerefCaret()) {
+                this.advance();
+                node = this.finish(AST.Deref(node), start);
+            } else {
+                return node;
+            }
+        }
+    }
+
+    // After a variable, ^ dereferences it unless an operand follows on the
+    // same line, in which case it is the power operator: P^.Next, P^ + 1,
+    // but X ^ 2. (X ^ -1 therefore reads as a dereference; write X ^ (-1).)
+    isDerefCaret() {
+        if (this.peek().type !== TokenType.POWER) return false;
+
+        const caret = this.peek();
+        const next = this.tokens[this.pos + 1];
+        const operandStarts = [
+            TokenType.IDENTIFIER, TokenType.INTEGER_LITERAL, TokenType.REAL_LITERAL,
+            TokenType.STRING_LITERAL, TokenType.CHAR_LITERAL, TokenType.DATE_LITERAL,
+            TokenType.LPAREN, TokenType.AT
+        ];
+        return !next || next.line !== caret.line || !operandStarts.includes(next.type);
+    }
+
+    // ARRAY INDICES: [i] or [i, j, k] — one expression per dimension
+    parseIndices() {
+        this.expect(TokenType.LBRACKET, "Expected '['");
+
+        const indices = [this.parseExpression()];
+        while (this.match(TokenType.COMMA)) {
+            indices.push(this.parseExpression());
+        }
+
+        this.expect(TokenType.RBRACKET, "Expected ']' after array index");
+        return indices;
+    }
+
+    // FUNCTION ARGUMENTS: () or (a) or (a, b, c)
+    parseArguments() {
+        this.expect(TokenType.LPAREN, "Expected '('");
+
+        const args = [];
+        if (this.peek().type !== TokenType.RPAREN) {
+            args.push(this.parseExpression());
+            while (this.match(TokenType.COMMA)) {
+                args.push(this.parseExpression());
+            }
+        }
+
+        this.expect(TokenType.RPAREN, "Expected ')' after function arguments");
+        return args;
+    }
 }
@@ -1,25 +1,137 @@
 // ============================================================
 // RUNTIME (VIRTUAL MACHINE)
 // ============================================================
-// Depends on: nothing
+// Depends on: diagnostics.js, builtins.js (BUILTINS), dates.js (DateValue)
 //
 // Executes the IR instructions produced by IRGenerator.
 
+
+// ============================================================
+// RUNTIME ERROR CLASS
+// ============================================================
+
+class RuntimeError extends DiagnosticError {
+    constructor(message, code = DiagnosticCode.RUNTIME_ERROR, hint = null) {
+        super(Phase.RUNTIME, message, code, hint);
+        this.trace = null; // calls active at the error (see Runtime.stackTrace)
+    }
+
+    toDiagnostic() {
+        const diagnostic = super.toDiagnostic();
+        diagnostic.trace = this.trace;
+        return diagnostic;
+    }
+}
+
+
+// ============================================================
+// POINTER VALUES
+// ============================================================
+// A pointer refers to a cell: the object and key that hold a variable,
+// array element or record field (as found by Runtime.resolveSlot), with
+// the declared type of what is stored there. NULL is held as null.
+
+class PointerValue {
+    constructor(container, key, type, name) {
+        this.container = container;
+        this.key = key;
+        this.type = type;   // type of the value pointed to
+        this.name = name;   // what it points to, e.g. "Nodes[3]"
+        Object.freeze(this);
+    }
+
+    equals(other) {
+        return other instanceof PointerValue && this.container === other.container && this.key === other.key;
+    }
+}
+
+
+// ============================================================
+// SET VALUES
+// ============================================================
+// A set holds each element once, kept in order (characters by code,
+// integers and enumerated values by size), so OUTPUT lists them sorted.
+// Sets are immutable: UNION, INTERSECT and DIFFERENCE make new ones.
+
+class SetValue {
+    constructor(base, elements) {
+        this.base = base;   // type of the elements; null for an untyped []
+        this.elements = Object.freeze([...new Set(elements)].sort((a, b) => a < b ? -1 : a > b ? 1 : 0));
+        Object.freeze(this);
+    }
+
+    has(value) {
+        return this.elements.includes(value);
+    }
+
+    union(other) {
+        return new SetValue(this.base || other.base, [...this.elements, ...other.elements]);
+    }
+
+    intersection(other) {
+        return new SetValue(this.base || other.base, this.elements.filter(e => other.has(e)));
+    }
+
+    difference(other) {
+        return new SetValue(this.base || other.base, this.elements.filter(e => !other.has(e)));
+    }
+
+    equals(other) {
+        return other instanceof SetValue && other.elements.length === this.elements.length &&
+            this.elements.every(e => other.has(e));
+    }
+}
+
+
+// ============================================================
+// OBJECTS
+// ============================================================
+// An instance of a CLASS: one property per attribute, and its class
+// (non-enumerable), which decides the version of a method a call runs.
+// Unlike records, objects are never copied: assigning an object or
+// passing it as an argument shares the same object.
+
+class ObjectValue {
+    constructor(className) {
+        Object.defineProperty(this, "className", { value: className });
+    }
+}
+
+
+// ============================================================
+// RUNTIME
+// ============================================================
+
 class Runtime {
 
-    constructor(instructions) {
+    constructor(instructions, spans = []) {
         this.instructions = instructions;
+        this.spans = spans;       // spans[i] = source span of instruction i
         this.pc = 0;
         this.globals = {};        // global variable store
-        this.scopeStack = [];     // stack of local scope frames
+        this.globalTypes = {};    // declared type of each global, e.g. X -> "INTEGER"
+        this.valueTypes = {};     // type of the value last stored in an undeclared name (temps, constants)
         this.labels = this.mapLabels();
+        this.types = this.mapTypes();   // record layouts: type name -> fields
+        this.enums = this.mapEnums();   // enumerated types: type name -> value names
+        this.enumValues = this.mapEnumValues();
+        this.pointerTypes = this.mapPointerTypes();  // pointer types: type name -> type pointed to
+        this.setTypes = this.mapSetTypes();          // set types: type name -> type of the elements
+        this.classes = this.mapClasses();            // classes: name -> { parent, fields }
         this.output = [];
         this.inputQueue = [];
 
         // Terminal mode support
         this.terminalMode = false;
         this.writeOutput = null;
-        this.readInput = null;
+        this.readInput = null;           // (varName, type) -> Promise of the text typed
+        this.reportInvalidInput = null;  // (error) -> void, called before asking again
+
+        // Invalid INPUT is asked for again; when strict it is a runtime error
+        this.strictInput = false;
+
+        // Current date and time for NOW(); replace to pin it, e.g. in tests
+        this.clock = () => new Date();
 
         // Buffer for multi-part OUTPUT
         this.outputBuffer = "";
@@ -27,14 +139,24 @@ class Runtime {
         // Halt flag — set to true to stop execution
         this.halted = false;
 
-        // Call stack for procedures/functions
+        // Call stack for procedures/functions: one frame per active call
+        // (see pushFrame). Calls nested deeper than maxCallDepth are a
+        // stack overflow.
         this.callStack = [];
-        this.returnValue = undefined;
+        this.maxCallDepth = 1000;
+        this.returnValue = undefined;   // result handed back by the last RET
+        this.returnType = null;
         this.argStack = [];     // values
         this.refStack = [];     // reference names for BYREF
 
-        // Virtual filesystem (in-memory)
-        this.files = {};  // filename -> { lines: [], readPos: 0, mode: null, open: false }
+        // Virtual filesystem (in-memory): filename -> { lines: [], readPos: 0,
+        // mode: null, open: false }. Files opened FOR RANDOM also have
+        // records (address -> record), recordType and address (see SEEK).
+        this.files = {};
+
+        // Warnings found while running (files left open), as Diagnostics
+        this.warnings = [];
+        this.ended = false;
 
         // Backward-compatible: this.vars points to globals by default
         this.vars = this.globals;
@@ -59,47 +181,269 @@ class Runtime {
     }
 
     // ------------------------------------------
-    // Scope management
+    // Extract record layouts from TYPE instructions
+    // ------------------------------------------
+    // TYPE Order Customer:STRING Lines:STRING[1:10]
+    //   -> { Order: [{ name: "Customer", type: "STRING", dims: null }, ...] }
+
+    mapTypes() {
+        const types = {};
+
+        for (const line of this.instructions) {
+            if (!line.startsWith("TYPE ")) continue;
+
+            const parts = line.split(" ");
+            types[parts[1]] = parts.slice(2).map(f => this.parseField(f));
+        }
+
+        return types;
+    }
+
+    // "Lines:STRING[1:10]" -> { name: "Lines", type: "STRING", dims: [...] }
+    parseField(text) {
+        const [, name, type, dims] = text.match(/^(\w+):(\w+)(?:\[(.+)\])?$/);
+        return { name, type, dims: dims ? this.parseDims(dims) : null };
+    }
+
+    // ------------------------------------------
+    // Extract enumerated types from ENUM instructions
+    // ------------------------------------------
+    // An enumerated value is stored as its position in the type (Spring
+    // is 0, Summer 1, ...), so ordering and FOR loops work as for
+    // integers; its type turns it back into a name for display.
+    // ENUM Season Spring Summer Autumn Winter
+    //   -> { Season: ["Spring", "Summer", "Autumn", "Winter"] }
+
+    mapEnums() {
+        const enums = {};
+
+        for (const line of this.instructions) {
+            if (!line.startsWith("ENUM ")) continue;
+
+            const parts = line.split(" ");
+            enums[parts[1]] = parts.slice(2);
+        }
+
+        return enums;
+    }
+
+    // Value name -> { type, ordinal }, e.g. Summer -> { type: "Season", ordinal: 1 }
+    mapEnumValues() {
+        const values = new Map();
+
+        for (const [type, names] of Object.entries(this.enums)) {
+            names.forEach((name, ordinal) => values.set(name, { type, ordinal }));
+        }
+
+        return values;
+    }
+
+    // ------------------------------------------
+    // Extract set types from SET instructions
+    // ------------------------------------------
+    // SET LetterSet CHAR -> { LetterSet: "CHAR" }
+
+    mapSetTypes() {
+        const sets = {};
+
+        for (const line of this.instructions) {
+            if (!line.startsWith("SET ")) continue;
+
+            const parts = line.split(" ");
+            sets[parts[1]] = parts[2];
+        }
+
+        return sets;
+    }
+
+    // ------------------------------------------
+    // Extract pointer types from POINTER instructions
+    // ------------------------------------------
+    // POINTER TIntPointer INTEGER -> { TIntPointer: "INTEGER" }
+
+    mapPointerTypes() {
+        const pointers = {};
+
+        for (const line of this.instructions) {
+            if (!line.startsWith("POINTER ")) continue;
+
+            const parts = line.split(" ");
+            pointers[parts[1]] = parts[2];
+        }
+
+        return pointers;
+    }
+
+    // ------------------------------------------
+    // Extract classes from CLASS instructions
     // ------------------------------------------
+    // Attributes are written like record fields; methods are the routines
+    // labelled METHOD_Class.Name (see methodLabel).
+    // CLASS Cat INHERITS Pet Lives:INTEGER
+    //   -> { Cat: { parent: "Pet", fields: [{ name: "Lives", ... }] } }
+
+    mapClasses() {
+        const classes = {};
+
+        for (const line of this.instructions) {
+            if (!line.startsWith("CLASS ")) continue;
+
+            const parts = line.split(" ");
+            const inherits = parts[2] === "INHERITS";
+            classes[parts[1]] = {
+                parent: inherits ? parts[3] : null,
+                fields: parts.slice(inherits ? 4 : 2).map(f => this.parseField(f))
+            };
+        }
 
-    enterScope() {
-        this.scopeStack.push({ locals: {}, byrefMap: {} });
+        return classes;
     }
 
-    exitScope() {
-        this.scopeStack.pop();
+    // The attributes of an object of the class: inherited ones first
+    classFields(className) {
+        const cls = this.classes[className];
+        if (!cls) return [];
+        return [...this.classFields(cls.parent), ...cls.fields];
     }
 
-    currentScope() {
-        if (this.scopeStack.length > 0) {
-            return this.scopeStack[this.scopeStack.length - 1];
+    // The label of the version of a method that an object of the class
+    // runs: its own, or else the nearest ancestor's; null if none has it
+    methodLabel(className, method) {
+        for (let name = className; this.classes[name]; name = this.classes[name].parent) {
+            const label = `METHOD_${name}.${method}`;
+            if (label in this.labels) return label;
         }
         return null;
     }
 
-    // Resolve a variable name: check local scope first, then globals
+    // ------------------------------------------
+    // Call frames
+    // ------------------------------------------
+    // Each CALL pushes a frame holding the call's parameters, locals and
+    // temporaries, so recursive calls never share them. RET pops it.
+
+    pushFrame(label) {
+        if (this.callStack.length >= this.maxCallDepth) {
+            throw new RuntimeError(
+                `Stack overflow: more than ${this.maxCallDepth} nested calls. Call chain: ${this.describeCallChain()}`,
+                DiagnosticCode.STACK_OVERFLOW,
+                "Check that every recursive call moves towards a case that stops the recursion."
+            );
+        }
+
+        this.callStack.push({
+            routine: label.replace(/^(PROC|FUNC|METHOD)_/, ""),
+            callPc: this.pc,              // the CALL instruction
+            returnAddress: this.pc + 1,
+            locals: {},                   // parameters, locals and temporaries
+            types: {},                    // declared types of parameters and locals
+            valueTypes: {},               // types of values in temporaries
+            byrefMap: {},                 // BYREF parameter -> caller's variable
+            returnType: null,             // declared RETURNS type of a function
+            result: null,                 // { value, type } set by RETVAL
+            args: []                      // { name, value } as passed, for stack traces
+        });
+    }
+
+    currentFrame() {
+        if (this.callStack.length > 0) {
+            return this.callStack[this.callStack.length - 1];
+        }
+        return null;
+    }
+
+    // "Factorial (line 12) → Factorial (line 5) ×999": the routines on the
+    // call stack, outermost first, each with the line it was called from.
+    // Consecutive calls from the same line are collapsed.
+    describeCallChain() {
+        const entries = [];
+        for (const frame of this.callStack) {
+            const span = this.spans[frame.callPc];
+            const label = span ? `${frame.routine} (line ${span.line})` : frame.routine;
+            const last = entries[entries.length - 1];
+            if (last && last.label === label) {
+                last.count++;
+            } else {
+                entries.push({ label, count: 1 });
+            }
+        }
+        return entries.map(e => e.count > 1 ? `${e.label} ×${e.count}` : e.label).join(" → ");
+    }
+
+    // The active calls, innermost first, for error messages and the debugger:
+    // [{ routine: "Fact", args: [{ name: "N", value: "0" }], callLine: 5 }]
+    stackTrace() {
+        return this.callStack.slice().reverse().map(frame => {
+            const span = this.spans[frame.callPc];
+            return {
+                routine: frame.routine,
+                args: frame.args.slice(),
+                callLine: span ? span.line : null
+            };
+        });
+    }
+
+    // How an argument is shown in a stack trace: 5, 2.5, "Bob", ARRAY[1:3]
+    describeArgument(val, type) {
+        if (this.isStructured(val)) {
+            if (val.bounds) {
+                return `ARRAY[${val.bounds.map(b => `${b.start}:${b.end}`).join(",")}]`;
+            }
+            return val.typeName ? `${val.typeName} record` : "record";
+        }
+        if (typeof val === 'string') return `"${val}"`;
+        return this.formatValue(val, type);
+    }
+
+    // Temporaries always belong to the frame that computes them
+    isTemp(name) {
+        return /^T\d+$/.test(name);
+    }
+
+    // Resolve a variable name: check the current frame first, then globals
     resolveVar(name) {
-        const scope = this.currentScope();
-        if (scope && name in scope.locals) {
-            return scope.locals[name];
+        const frame = this.currentFrame();
+        if (frame && name in frame.locals) {
+            return frame.locals[name];
         }
         return this.globals[name];
     }
 
-    // Set a variable: if in a local scope and the var exists locally, set it there;
-    // otherwise set in globals (unless it's a new var in a scope — new vars in scope go local)
+    // Set a variable: if in a call and the var exists in its frame, set it there;
+    // otherwise set in globals (unless it's a new var or a temporary in a call —
+    // those go in the frame)
     setVar(name, value) {
-        const scope = this.currentScope();
-        if (scope && name in scope.locals) {
-            scope.locals[name] = value;
-        } else if (scope && !(name in this.globals)) {
-            // New variable declared inside a procedure/function — make it local
-            scope.locals[name] = value;
+        const frame = this.currentFrame();
+        if (frame && (name in frame.locals || this.isTemp(name) || !(name in this.globals))) {
+            frame.locals[name] = value;
+        } else {
+            this.globals[name] = value;
+        }
+    }
+
+    // Create a variable in the innermost frame, so a DECLARE inside a
+    // procedure or function never overwrites a global of the same name
+    declareVar(name, value) {
+        const frame = this.currentFrame();
+        if (frame) {
+            frame.locals[name] = value;
         } else {
             this.globals[name] = value;
         }
     }
 
+    // Bind a parameter in a newly entered frame. Scalar parameters have a
+    // declared type; array parameters bring their element type with them.
+    // Parameters are popped last to first, so each goes to the front of args.
+    bindParam(frame, name, val, type) {
+        if (type) {
+            frame.types[name] = type;
+            val = this.coerce(val, type, name);
+        }
+        frame.locals[name] = val;
+        frame.args.unshift({ name, value: this.describeArgument(val, type) });
+    }
+
     // ------------------------------------------
     // Value resolution
     // ------------------------------------------
@@ -107,7 +451,12 @@ class Runtime {
     getValue(x) {
         // Handle string literals (wrapped in quotes)
         if (typeof x === 'string' && x.startsWith('"') && x.endsWith('"')) {
-            return x.slice(1, -1);
+            return x.slice(1, -1).replace(/\\(.)/g, "$1");
+        }
+
+        // Handle date literals (dd/mm/yyyy)
+        if (this.isDateLiteral(x)) {
+            return DateValue.parse(x);
         }
 
         // Handle numeric literals
@@ -115,104 +464,603 @@ class Runtime {
             return parseFloat(x);
         }
 
-        // Handle array access: Numbers[5] or Grid[2,3]
-        if (typeof x === 'string' && x.includes('[')) {
-            const match = x.match(/^(\w+)\[(.+)\]$/);
-            if (match) {
-                const arrayName = match[1];
-                const indicesStr = match[2];
-
-                const indices = indicesStr.split(',').map(idx => {
-                    const val = this.getValue(idx.trim());
-                    return Math.floor(val);
-                });
-
-                const arr = this.resolveVar(arrayName);
-                if (!arr) {
-                    throw new Error(`Array '${arrayName}' not initialized`);
-                }
-
-                if (indices.length === 1) {
-                    return arr[indices[0]];
-                } else if (indices.length === 2) {
-                    return arr[indices[0]][indices[1]];
-                }
-            }
+        // Handle access paths: Numbers[5], Grid[2,3], Rec.Field, Class.Pupils[T0].Age, Node^.Next
+        if (this.isPath(x)) {
+            const { container, key } = this.resolveSlot(x);
+            return container[key];
         }
 
-        // Handle record field access: record.field
-        if (typeof x === 'string' && x.includes('.') && !x.startsWith('"')) {
-            const dotIdx = x.indexOf('.');
-            const recName = x.substring(0, dotIdx);
-            const fieldName = x.substring(dotIdx + 1);
-            if (/^\w+$/.test(recName) && /^\w+$/.test(fieldName)) {
-                const rec = this.resolveVar(recName);
-                if (rec !== undefined && rec !== null && typeof rec === 'object') {
-                    return rec[fieldName];
-                }
-            }
+        // Handle addresses (@X, @Numbers[5]) and NULL
+        if (typeof x === 'string' && x.startsWith('@')) {
+            return this.addressOf(x.slice(1));
         }
+        if (x === 'NULL') return null;
+
+        // Handle boolean literals
+        if (x === 'TRUE') return true;
+        if (x === 'FALSE') return false;
 
         // Handle RETVAL keyword
         if (x === 'RETVAL') {
             return this.returnValue;
         }
 
+        // Handle values of enumerated types
+        if (this.enumValues.has(x)) {
+            return this.enumValues.get(x).ordinal;
+        }
+
         // Handle variable references (scope-aware)
         return this.resolveVar(x);
     }
 
+    // An access path rather than a plain name: A[1], R.F, P^ and chains of them
+    isPath(x) {
+        return typeof x === 'string' && /^\w+[.[^]/.test(x);
+    }
+
+    // Arrays and records; other values (including dates, pointers, sets and
+    // objects) are scalars
+    isStructured(val) {
+        return val !== null && typeof val === 'object' && !(val instanceof DateValue) &&
+            !(val instanceof PointerValue) && !(val instanceof SetValue) && !(val instanceof ObjectValue);
+    }
+
+    // Date literals reach the IR as written, normalised to dd/mm/yyyy
+    isDateLiteral(x) {
+        return typeof x === 'string' && /^\d{2}\/\d{2}\/\d{4}$/.test(x);
+    }
+
     // ------------------------------------------
-    // Assign to a target (variable or array element)
+    // Runtime types
     // ------------------------------------------
+    // Every variable has a type: the one it was declared with (DECLARE,
+    // LOCAL, parameters, array elements and record fields) or, for
+    // temporaries and constants, the type of the last value stored in it.
+    // Values are checked against that type when stored and formatted by it
+    // when displayed, so INTEGER 5 prints as 5 and REAL 5 as 5.0.
+
+    // The declared types of the frame (or globals) that hold `name`
+    typeStore(name) {
+        const frame = this.currentFrame();
+        return frame && name in frame.locals ? frame.types : this.globalTypes;
+    }
 
-    assignTarget(target, val) {
-        if (target.includes('[')) {
-            const match = target.match(/^(\w+)\[(.+)\]$/);
-            if (match) {
-                const arrayName = match[1];
-                const indicesStr = match[2];
-                const indices = indicesStr.split(',').map(idx => {
-                    const idxVal = this.getValue(idx.trim());
-                    return Math.floor(idxVal);
-                });
+    // The types of values stored in undeclared names, from the same place
+    valueTypeStore(name) {
+        const frame = this.currentFrame();
+        return frame && name in frame.locals ? frame.valueTypes : this.valueTypes;
+    }
 
-                // Arrays are always global (or resolved from scope)
-                let arr = this.resolveVar(arrayName);
-                if (!arr) {
-                    arr = {};
-                    this.setVar(arrayName, arr);
-                }
+    // Type of a value that has no declared type
+    valueType(val) {
+        if (typeof val === 'boolean') return "BOOLEAN";
+        if (typeof val === 'string') return "STRING";
+        if (typeof val === 'number') return Number.isInteger(val) ? "INTEGER" : "REAL";
+        if (val instanceof DateValue) return "DATE";
+        if (val instanceof SetValue) return `SET OF ${val.base || "ANY"}`;
+        if (val instanceof ObjectValue) return val.className;
+        return null;
+    }
+
+    // Type of an operand: literal, variable, temporary, access path or RETVAL.
+    // REAL literals always contain a decimal point (see IRGenerator.formatReal)
+    typeOf(x) {
+        if (x.startsWith('"')) return "STRING";
+        if (!isNaN(x) && x !== '') return /[.eE]/.test(x) ? "REAL" : "INTEGER";
+        if (x === 'TRUE' || x === 'FALSE') return "BOOLEAN";
+        if (this.isDateLiteral(x)) return "DATE";
+        if (x === 'RETVAL') return this.returnType;
+        if (this.enumValues.has(x)) return this.enumValues.get(x).type;
+        if (x === 'NULL') return "NULL";
+        if (x.startsWith('@')) return `^${this.addressOf(x.slice(1)).type}`;
+
+        if (this.isPath(x)) {
+            const slot = this.resolveSlot(x);
+            return slot.type || this.valueType(slot.container[slot.key]);
+        }
 
-                if (indices.length === 1) {
-                    arr[indices[0]] = val;
-                } else if (indices.length === 2) {
-                    if (!arr[indices[0]]) arr[indices[0]] = {};
-                    arr[indices[0]][indices[1]] = val;
+        return this.typeStore(x)[x] || this.valueTypeStore(x)[x] || this.valueType(this.resolveVar(x));
+    }
+
+    // Declared type of an assignment target, or null if it has none
+    declaredType(target) {
+        if (this.isPath(target)) {
+            return this.resolveSlot(target, true).type;
+        }
+        return this.typeStore(target)[target] || null;
+    }
+
+    // Check a value against the type of the variable it is stored in.
+    // A REAL with no fractional part is accepted as an INTEGER.
+    coerce(val, type, name) {
+        if (val === undefined) return val;
+
+        switch (type) {
+            case "INTEGER":
+                if (typeof val === 'number' && Number.isInteger(val)) return val;
+                break;
+            case "REAL":
+                if (typeof val === 'number') return val;
+                break;
+            case "STRING":
+                if (typeof val === 'string') return val;
+                break;
+            case "CHAR":
+                if (typeof val === 'string' && val.length === 1) return val;
+                break;
+            case "BOOLEAN":
+                if (typeof val === 'boolean') return val;
+                break;
+            case "DATE":
+                if (val instanceof DateValue) return val;
+                break;
+            default:
+                if (this.setTypes[type]) {
+                    // [] takes the type of the set it is stored in
+                    const base = this.setTypes[type];
+                    if (val instanceof SetValue && (val.base === base || val.base === null)) {
+                        return new SetValue(base, val.elements);
+                    }
+                    break;
                 }
+                return val; // records, arrays, pointers and untyped names
+        }
+
+        const shown = typeof val === 'string' ? `"${val}"` : this.formatValue(val);
+        throw new RuntimeError(
+            `Cannot store ${this.valueType(val) || "value"} ${shown} in ${type} '${name}'`,
+            DiagnosticCode.TYPE_ERROR,
+            type === "CHAR" ? "A CHAR holds exactly one character." : null
+        );
+    }
+
+    // Result type of `left op right`: INTEGER op INTEGER stays INTEGER
+    // except for `/`, and anything involving a REAL is REAL
+    resultType(op, leftType, rightType, right) {
+        const real = leftType === "REAL" || rightType === "REAL";
+        switch (op) {
+            case "/":   return "REAL";
+            case "DIV": return "INTEGER";
+            case "^":   return real || right < 0 ? "REAL" : "INTEGER";
+            default:    return real ? "REAL" : "INTEGER";
+        }
+    }
+
+    // ------------------------------------------
+    // Converting values to and from text
+    // ------------------------------------------
+    // Used by OUTPUT, WRITEFILE, INPUT and READFILE. Booleans travel as
+    // TRUE/FALSE, REALs keep a decimal point, dates are dd/mm/yyyy and
+    // enumerated values are their names.
+
+    formatValue(val, type = null) {
+        if (this.enums[type] && this.enums[type][val] !== undefined) {
+            return this.enums[type][val];
+        }
+        if (val instanceof PointerValue) {
+            return `@${val.name}`;
+        }
+        if (val instanceof SetValue) {
+            return `[${val.elements.map(e => this.formatValue(e, val.base)).join(", ")}]`;
+        }
+        if (val instanceof ObjectValue) {
+            return `${val.className} object`;
+        }
+        if (val === null && (type === "NULL" || this.pointerTypes[type] || this.classes[type] || String(type).startsWith("^"))) {
+            return "NULL";
+        }
+        if (typeof val === 'boolean') {
+            return val ? "TRUE" : "FALSE";
+        }
+        if (typeof val === 'number' && (type === "REAL" || !Number.isInteger(val))) {
+            return this.formatReal(val);
+        }
+        return String(val);
+    }
+
+    // 5 -> "5.0"; rounds away binary noise, so 0.1 + 0.2 shows as 0.3
+    formatReal(val) {
+        if (!isFinite(val)) return String(val);
+        const text = String(parseFloat(val.toPrecision(15)));
+        return /[.e]/.test(text) ? text : `${text}.0`;
+    }
+
+    // "TRUE"/"FALSE" (any case) -> boolean, numbers -> number, else the text
+    parseInputValue(text) {
+        const upper = String(text).trim().toUpperCase();
+        if (upper === "TRUE") return true;
+        if (upper === "FALSE") return false;
+
+        const parsed = parseFloat(text);
+        return isNaN(parsed) ? text : parsed;
+    }
+
+    // Convert text from INPUT or READFILE to the type of the variable it is
+    // read into. Untyped targets fall back to parseInputValue.
+    convertText(text, type, name) {
+        const trimmed = text.trim();
+
+        switch (type) {
+            case "INTEGER":
+                if (/^[+-]?\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+                break;
+            case "REAL":
+                if (this.isNumericText(trimmed)) return parseFloat(trimmed);
+                break;
+            case "BOOLEAN":
+                if (/^true$/i.test(trimmed)) return true;
+                if (/^false$/i.test(trimmed)) return false;
+                break;
+            case "CHAR":
+                if (text.length === 1) return text;
+                break;
+            case "DATE": {
+                const date = DateValue.parse(trimmed);
+                if (date) return date;
+                break;
             }
-        } else if (target.includes('.')) {
-            // Record field assignment: record.field
-            const dotIdx = target.indexOf('.');
-            const recName = target.substring(0, dotIdx);
-            const fieldName = target.substring(dotIdx + 1);
-            let rec = this.resolveVar(recName);
-            if (rec === undefined || rec === null || typeof rec !== 'object') {
-                rec = {};
-                this.setVar(recName, rec);
-            }
-            rec[fieldName] = val;
+            case "STRING":
+                return text;
+            default:
+                if (this.enums[type]) {
+                    const ordinal = this.enums[type].indexOf(trimmed);
+                    if (ordinal >= 0) return ordinal;
+                    break;
+                }
+                return this.parseInputValue(text);
+        }
+
+        throw new RuntimeError(
+            `'${text}' is not a valid ${type} value for '${name}'`,
+            DiagnosticCode.CONVERSION_FAILED,
+            this.inputHint(type)
+        );
+    }
+
+    // A whole or decimal number, optionally signed: 42, -3.5, .5, 1e3
+    isNumericText(text) {
+        return /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(String(text).trim());
+    }
+
+    inputHint(type) {
+        switch (type) {
+            case "INTEGER": return "Enter a whole number, e.g. 42.";
+            case "REAL":    return "Enter a number, e.g. 3.5.";
+            case "CHAR":    return "Enter exactly one character.";
+            case "BOOLEAN": return "Enter TRUE or FALSE.";
+            case "DATE":    return "Enter a date as dd/mm/yyyy, e.g. 25/12/2024.";
+            default:
+                return this.enums[type] ? `Enter one of: ${this.enums[type].join(", ")}.` : null;
+        }
+    }
+
+    // Store text from INPUT or READFILE, converted to the target's type
+    // (`type` if given, else the target's declared type). Values that are
+    // not text (e.g. from inputQueue) are stored as they are.
+    storeText(target, text, type = null) {
+        if (typeof text !== 'string') {
+            this.assignTarget(target, text);
+            return;
+        }
+        this.assignTarget(target, this.convertText(text, type || this.declaredType(target), target));
+    }
+
+    // True when an INPUT error means "ask again" rather than stop the program
+    isRetryableInput(err) {
+        return !this.strictInput && err.code === DiagnosticCode.CONVERSION_FAILED;
+    }
+
+    // ------------------------------------------
+    // Assign to a target (variable, array element or record field)
+    // ------------------------------------------
+
+    // `type` is the type of `val` when the caller knows it (e.g. the result
+    // of an operator); it is recorded for names without a declared type.
+    assignTarget(target, val, type = null) {
+        if (this.isPath(target)) {
+            // Array element or record field, possibly nested
+            const slot = this.resolveSlot(target, true);
+            slot.container[slot.key] = this.coerce(val, slot.type, slot.name);
+            return;
+        }
+
+        const declared = this.typeStore(target)[target];
+        if (declared) {
+            this.setVar(target, this.coerce(val, declared, target));
         } else {
             this.setVar(target, val);
+            this.valueTypeStore(target)[target] = type || this.valueType(val);
         }
     }
 
+    // ------------------------------------------
+    // Arrays and records
+    // ------------------------------------------
+    // An N-dimensional array is a nest of N plain objects keyed by index.
+    // The outermost one carries its declared bounds in a non-enumerable
+    // `bounds` property: [{ start, end }, ...], one entry per dimension.
+    // A record is a plain object with one property per field; its layout
+    // comes from the TYPE instructions (see mapTypes).
+
+    // "1:3,1:4" -> [{ start: 1, end: 3 }, { start: 1, end: 4 }]
+    parseDims(dimsStr) {
+        return dimsStr.split(',').map(d => {
+            const [start, end] = d.trim().split(':').map(n => parseInt(n));
+            return { start, end };
+        });
+    }
+
+    // Initial value of a variable, array element or field of the given type
+    defaultValue(typeName) {
+        if (this.types[typeName]) return this.createRecord(typeName);
+        if (this.pointerTypes[typeName] || this.classes[typeName]) return null;
+        if (this.setTypes[typeName]) return new SetValue(this.setTypes[typeName], []);
+        switch (typeName) {
+            case "BOOLEAN": return false;
+            case "STRING":
+            case "CHAR":    return "";
+            case "DATE":    return new DateValue(1, 1, 1970);
+            default:        return 0;
+        }
+    }
+
+    // Records know their type name and arrays their element type (both
+    // non-enumerable), so values stored in them can be checked
+    createRecord(typeName) {
+        const record = {};
+        Object.defineProperty(record, "typeName", { value: typeName });
+        for (const field of this.types[typeName] || []) {
+            record[field.name] = field.dims
+                ? this.createArray(field.dims, field.type)
+                : this.defaultValue(field.type);
+        }
+        return record;
+    }
+
+    // A new object, with every attribute (inherited ones too) set to the
+    // initial value of its type; the constructor runs after this
+    createObject(className) {
+        const object = new ObjectValue(className);
+        for (const field of this.classFields(className)) {
+            object[field.name] = field.dims
+                ? this.createArray(field.dims, field.type)
+                : this.defaultValue(field.type);
+        }
+        return object;
+    }
+
+    // Using a variable, element or attribute of a class type that does not
+    // hold an object yet
+    objectNotCreated(name, className) {
+        return new RuntimeError(
+            `Object '${name}' has not been created`,
+            DiagnosticCode.UNINITIALISED,
+            `Create it first, e.g. ${name} <- NEW ${className}(...)`
+        );
+    }
+
+    createArray(dims, elementType = null) {
+        const build = (d) => {
+            const level = {};
+            const { start, end } = dims[d];
+            for (let i = start; i <= end; i++) {
+                level[i] = d === dims.length - 1 ? this.defaultValue(elementType) : build(d + 1);
+            }
+            return level;
+        };
+
+        const arr = build(0);
+        Object.defineProperty(arr, "bounds", { value: dims });
+        Object.defineProperty(arr, "elementType", { value: elementType });
+        return arr;
+    }
+
+    // Check every index against the declared bounds and return the object
+    // and key that hold the element, so callers can read or write it
+    elementSlot(arrayName, arr, indices) {
+        const bounds = arr.bounds;
+
+        if (bounds && indices.length !== bounds.length) {
+            throw new RuntimeError(
+                `Array '${arrayName}' has ${bounds.length} dimension(s), but ${indices.length} index(es) were given`,
+                DiagnosticCode.INDEX_OUT_OF_RANGE
+            );
+        }
+
+        let container = arr;
+        for (let d = 0; d < indices.length; d++) {
+            const index = indices[d];
+
+            if (bounds) {
+                const { start, end } = bounds[d];
+                if (!(index >= start && index <= end)) {
+                    const where = bounds.length > 1 ? ` in dimension ${d + 1}` : "";
+                    throw new RuntimeError(
+                        `Index ${index} out of range for array '${arrayName}'${where}: valid range is ${start} to ${end}`,
+                        DiagnosticCode.INDEX_OUT_OF_RANGE
+                    );
+                }
+            }
+
+            if (d === indices.length - 1) break;
+
+            // Arrays without declared bounds grow on demand
+            if (!container[index]) container[index] = {};
+            container = container[index];
+        }
+
+        return { container, key: indices[indices.length - 1] };
+    }
+
+    // Resolve an access path such as Students[T0].Name to the object and key
+    // that hold the element or field, checking array bounds on the way.
+    // With `create` (assignment), missing variables and records are created.
+    resolveSlot(path, create = false) {
+        const root = path.match(/^\w+/)[0];
+        const steps = path.slice(root.length).match(/\.\w+|\[[^\]]*\]|\^/g) || [];
+
+        let current = this.resolveVar(root);
+        if ((current === undefined || current === null) && steps[0] !== '^') {
+            const type = this.typeStore(root)[root];
+            if (this.classes[type]) {
+                throw this.objectNotCreated(root, type);
+            }
+            if (!create) {
+                const kind = steps[0].startsWith('[') ? "Array" : "Record";
+                throw new RuntimeError(`${kind} '${root}' not initialized`, DiagnosticCode.UNINITIALISED);
+            }
+            current = {};
+            this.setVar(root, current);
+        }
+
+        let name = root; // the part of the path walked so far, for messages
+        let slot = null;
+
+        for (const step of steps) {
+            if (slot) {
+                // Step into the element or field found by the previous step
+                let next = slot.container[slot.key];
+                if ((next === undefined || next === null) && step !== '^') {
+                    if (this.classes[slot.type]) {
+                        throw this.objectNotCreated(name, slot.type);
+                    }
+                    if (create) {
+                        next = slot.container[slot.key] = {};
+                    }
+                }
+                current = next;
+            }
+            if (step === '^') {
+                slot = this.pointerSlot(name, current);
+                name += '^';
+                continue;
+            }
+            if (current === null || typeof current !== 'object') {
+                throw new RuntimeError(`'${name}' is not an array or record`);
+            }
+
+            if (step.startsWith('.')) {
+                slot = { container: current, key: step.slice(1), type: this.fieldType(current, step.slice(1)) };
+                name += step;
+            } else {
+                const indices = step.slice(1, -1).split(',').map(idx => {
+                    const val = this.getValue(idx.trim());
+                    if (!Number.isInteger(val)) {
+                        throw new RuntimeError(
+                            `Index ${this.formatValue(val)} for array '${name}' is not a whole number`,
+                            DiagnosticCode.TYPE_ERROR,
+                            "Array indices are INTEGERs; use INT() to convert a REAL."
+                        );
+                    }
+                    return val;
+                });
+                slot = { ...this.elementSlot(name, current, indices), type: current.elementType || null };
+                name += `[${indices.join(',')}]`;
+            }
+        }
+
+        return { ...slot, name };
+    }
+
+    // The cell a pointer refers to; `name` is the pointer, for messages
+    pointerSlot(name, pointer) {
+        if (pointer === null || pointer === undefined) {
+            throw new RuntimeError(
+                `Cannot follow pointer '${name}': it is NULL`,
+                DiagnosticCode.NULL_POINTER,
+                `Check that ${name} <> NULL before using ${name}^.`
+            );
+        }
+        if (!(pointer instanceof PointerValue)) {
+            throw new RuntimeError(`'${name}' is not a pointer`, DiagnosticCode.TYPE_ERROR);
+        }
+        return { container: pointer.container, key: pointer.key, type: pointer.type };
+    }
+
+    // A pointer to a variable, array element or record field
+    addressOf(target) {
+        if (this.isPath(target)) {
+            const slot = this.resolveSlot(target, true);
+            return new PointerValue(slot.container, slot.key, slot.type || this.valueType(slot.container[slot.key]), slot.name);
+        }
+
+        const frame = this.currentFrame();
+        const container = frame && target in frame.locals ? frame.locals : this.globals;
+        return new PointerValue(container, target, this.typeOf(target), target);
+    }
+
+    // Declared type of a scalar field of a record or attribute of an object
+    // (null for array fields)
+    fieldType(record, fieldName) {
+        const fields = record instanceof ObjectValue ? this.classFields(record.className) : this.types[record.typeName];
+        const field = (fields || []).find(f => f.name === fieldName);
+        return field && !field.dims ? field.type : null;
+    }
+
+    // Deep copy of an array or record value, keeping bounds and types.
+    // Scalars (dates and pointers included) are returned unchanged.
+    copyValue(value) {
+        if (!this.isStructured(value)) return value;
+
+        const copy = {};
+        for (const key of Object.keys(value)) {
+            copy[key] = this.copyValue(value[key]);
+        }
+        for (const meta of ["bounds", "elementType", "typeName"]) {
+            if (value[meta]) {
+                Object.defineProperty(copy, meta, { value: value[meta] });
+            }
+        }
+        return copy;
+    }
+
+    // ------------------------------------------
+    // Source location of the current instruction
+    // ------------------------------------------
+
+    currentSpan() {
+        return this.spans[this.pc] ?? null;
+    }
+
+    currentLine() {
+        const span = this.currentSpan();
+        return span ? span.line : null;
+    }
+
+    // Turn any error raised while executing into a RuntimeError
+    // that carries the pseudocode line of the current instruction and
+    // the calls that led to it
+    locateError(err) {
+        const rtErr = err instanceof RuntimeError
+            ? err
+            : new RuntimeError(err.message, DiagnosticCode.INTERNAL_ERROR);
+        if (!rtErr.trace) {
+            rtErr.trace = this.stackTrace();
+        }
+        return rtErr.locate(this.currentSpan());
+    }
+
     // ------------------------------------------
     // Execute a single instruction
     // ------------------------------------------
 
     step() {
-        if (this.pc >= this.instructions.length) return false;
+        try {
+            return this.executeInstruction();
+        } catch (err) {
+            throw this.locateError(err);
+        }
+    }
+
+    executeInstruction() {
+        if (this.pc >= this.instructions.length) {
+            if (!this.ended) {
+                this.ended = true;
+                this.checkFilesClosed();
+            }
+            return false;
+        }
 
         const line = this.instructions[this.pc];
 
@@ -231,42 +1079,57 @@ class Runtime {
             const arrayName = parts[1];
             const dimsMatch = line.match(/\[(.+)\]/);
             if (dimsMatch) {
-                const dimsStr = dimsMatch[1];
-                const dims = dimsStr.split(',').map(d => {
-                    const [start, end] = d.trim().split(':').map(n => parseInt(n));
-                    return { start, end };
-                });
-
-                const arr = {};
-                if (dims.length === 1) {
-                    const { start, end } = dims[0];
-                    for (let i = start; i <= end; i++) {
-                        arr[i] = 0;
-                    }
-                } else if (dims.length === 2) {
-                    const { start: start1, end: end1 } = dims[0];
-                    const { start: start2, end: end2 } = dims[1];
-                    for (let i = start1; i <= end1; i++) {
-                        arr[i] = {};
-                        for (let j = start2; j <= end2; j++) {
-                            arr[i][j] = 0;
-                        }
-                    }
-                }
-                this.setVar(arrayName, arr);
+                const dims = this.parseDims(dimsMatch[1]);
+                const elementType = parts[3] || null;
+                this.declareVar(arrayName, this.createArray(dims, elementType));
             }
             this.pc++;
             return true;
         }
 
         // -----------------------------------------------------------------
-        // LOCAL varName (pre-create a variable in the current local scope)
+        // RECORD varName TypeName (allocate a record with all its fields)
+        // -----------------------------------------------------------------
+        if (parts[0] === "RECORD") {
+            this.declareVar(parts[1], this.createRecord(parts[2]));
+            this.pc++;
+            return true;
+        }
+
+        // -----------------------------------------------------------------
+        // TYPE TypeName field:type ... (layout already read by mapTypes)
+        // ENUM TypeName value ...      (values already read by mapEnums)
+        // POINTER TypeName type        (read by mapPointerTypes)
+        // SET TypeName type            (read by mapSetTypes)
+        // CLASS Name [INHERITS Parent] attribute:type ... (read by mapClasses)
+        // -----------------------------------------------------------------
+        if (["TYPE", "ENUM", "POINTER", "SET", "CLASS"].includes(parts[0])) {
+            this.pc++;
+            return true;
+        }
+
+        // -----------------------------------------------------------------
+        // LOCAL varName type (pre-create a variable in the current frame)
         // -----------------------------------------------------------------
         if (parts[0] === "LOCAL") {
             const varName = parts[1];
-            const scope = this.currentScope();
-            if (scope) {
-                scope.locals[varName] = 0;  // initialize to 0 (default)
+            const frame = this.currentFrame();
+            if (frame) {
+                frame.locals[varName] = this.defaultValue(parts[2]);
+                frame.types[varName] = parts[2];
+            }
+            this.pc++;
+            return true;
+        }
+
+        // -----------------------------------------------------------------
+        // DECLARE varName type (global scalar; keeps its value if re-run)
+        // -----------------------------------------------------------------
+        if (parts[0] === "DECLARE") {
+            const varName = parts[1];
+            this.globalTypes[varName] = parts[2];
+            if (!(varName in this.globals)) {
+                this.globals[varName] = this.defaultValue(parts[2]);
             }
             this.pc++;
             return true;
@@ -277,12 +1140,12 @@ class Runtime {
         // -----------------------------------------------------------------
         if (parts[0] === "OUTPUT") {
             const expr = parts.slice(1).join(" ");
-            const val = this.getValue(expr);
+            const text = this.formatValue(this.getValue(expr), this.typeOf(expr));
 
             if (this.terminalMode && this.writeOutput) {
-                this.writeOutput(String(val));
+                this.writeOutput(text);
             } else {
-                this.output.push(val);
+                this.output.push(text);
             }
 
             this.pc++;
@@ -294,8 +1157,7 @@ class Runtime {
         // -----------------------------------------------------------------
         if (parts[0] === "OUTPUT_PART") {
             const expr = parts.slice(1).join(" ");
-            const val = this.getValue(expr);
-            this.outputBuffer += String(val);
+            this.outputBuffer += this.formatValue(this.getValue(expr), this.typeOf(expr));
             this.pc++;
             return true;
         }
@@ -315,29 +1177,38 @@ class Runtime {
         }
 
         // -----------------------------------------------------------------
-        // INPUT variable or INPUT Array[index]
+        // INPUT target [type]   e.g. INPUT Age INTEGER
         // -----------------------------------------------------------------
         if (parts[0] === "INPUT") {
             const target = parts[1];
+            const type = parts[2] || null;
 
             if (this.terminalMode && this.readInput) {
-                this.pendingInput = { target, line: this.pc };
+                this.pendingInput = { target, type, line: this.pc };
                 return 'WAIT_INPUT';
             }
 
-            let value;
-            if (this.inputQueue.length > 0) {
-                value = this.inputQueue.shift();
-            } else {
-                const input = prompt(`Enter value for ${target}:`);
-                if (input === null) {
-                    throw new Error("Input cancelled");
+            // Ask until the value is valid for the target's type
+            let message = `Enter value for ${target}:`;
+            for (;;) {
+                let value;
+                if (this.inputQueue.length > 0) {
+                    value = this.inputQueue.shift();
+                } else {
+                    value = prompt(message);
+                    if (value === null) {
+                        throw new RuntimeError("Input cancelled", DiagnosticCode.INPUT_CANCELLED);
+                    }
                 }
-                const parsed = parseFloat(input);
-                value = isNaN(parsed) ? input : parsed;
-            }
 
-            this.assignTarget(target, value);
+                try {
+                    this.storeText(target, value, type);
+                    break;
+                } catch (err) {
+                    if (!this.isRetryableInput(err)) throw err;
+                    message = `${err.detail} ${err.hint || ""}\nEnter value for ${target}:`;
+                }
+            }
 
             this.pc++;
             return true;
@@ -364,49 +1235,32 @@ class Runtime {
         }
 
         // -----------------------------------------------------------------
-        // ENTER_SCOPE (push a new local scope frame)
-        // -----------------------------------------------------------------
-        if (parts[0] === "ENTER_SCOPE") {
-            this.enterScope();
-            this.pc++;
-            return true;
-        }
-
-        // -----------------------------------------------------------------
-        // EXIT_SCOPE (pop the local scope frame)
-        // -----------------------------------------------------------------
-        if (parts[0] === "EXIT_SCOPE") {
-            this.exitScope();
-            this.pc++;
-            return true;
-        }
-
-        // -----------------------------------------------------------------
-        // POP_PARAM paramName (pop value from arg stack into local param)
+        // POP_PARAM paramName [type] (pop value from arg stack into local param)
+        // Arrays and records are copied so the caller's value is unaffected
         // -----------------------------------------------------------------
         if (parts[0] === "POP_PARAM") {
             const paramName = parts[1];
-            const val = this.argStack.pop();
+            const val = this.copyValue(this.argStack.pop());
             this.refStack.pop(); // discard the ref for BYVAL
-            const scope = this.currentScope();
-            if (scope) {
-                scope.locals[paramName] = val;
+            const frame = this.currentFrame();
+            if (frame) {
+                this.bindParam(frame, paramName, val, parts[2]);
             }
             this.pc++;
             return true;
         }
 
         // -----------------------------------------------------------------
-        // POP_BYREF paramName (pop value and ref from stacks into local param)
+        // POP_BYREF paramName [type] (pop value and ref from stacks into local param)
         // -----------------------------------------------------------------
         if (parts[0] === "POP_BYREF") {
             const paramName = parts[1];
             const val = this.argStack.pop();
             const refName = this.refStack.pop();
-            const scope = this.currentScope();
-            if (scope) {
-                scope.locals[paramName] = val;
-                scope.byrefMap[paramName] = refName; // remember where to write back
+            const frame = this.currentFrame();
+            if (frame) {
+                this.bindParam(frame, paramName, val, parts[2]);
+                frame.byrefMap[paramName] = refName; // remember where to write back
             }
             this.pc++;
             return true;
@@ -417,45 +1271,104 @@ class Runtime {
         // -----------------------------------------------------------------
         if (parts[0] === "WRITEBACK_BYREF") {
             const paramName = parts[1];
-            const scope = this.currentScope();
-            if (scope && scope.byrefMap[paramName]) {
-                const refName = scope.byrefMap[paramName];
-                const val = scope.locals[paramName];
-                // Write back to the caller's scope (temporarily pop current scope)
-                this.scopeStack.pop();
-                this.assignTarget(refName, val);
-                this.scopeStack.push(scope);
+            const frame = this.currentFrame();
+            if (frame && frame.byrefMap[paramName]) {
+                const refName = frame.byrefMap[paramName];
+                const val = frame.locals[paramName];
+                // Write back in the caller's frame (temporarily pop the current one)
+                this.callStack.pop();
+                try {
+                    this.assignTarget(refName, val);
+                } finally {
+                    this.callStack.push(frame);
+                }
             }
             this.pc++;
             return true;
         }
 
         // -----------------------------------------------------------------
-        // CALL label
+        // CALL label (push a frame for the call and jump to the routine)
         // -----------------------------------------------------------------
         if (parts[0] === "CALL") {
             const label = parts[1];
-            this.callStack.push(this.pc + 1); // return address
+            this.pushFrame(label);
             this.pc = this.labels[label];
             return true;
         }
 
         // -----------------------------------------------------------------
-        // RETVAL value (set return value)
+        // CALL_METHOD object method [class] (call the method on an object:
+        // the version for the object's class, or for SUPER.Method() the
+        // version from the given class up; the method sees the object as SELF)
+        // -----------------------------------------------------------------
+        if (parts[0] === "CALL_METHOD") {
+            const object = this.getValue(parts[1]);
+            if (!(object instanceof ObjectValue)) {
+                throw this.objectNotCreated(parts[1], this.typeOf(parts[1]));
+            }
+
+            const method = parts[2];
+            const label = this.methodLabel(parts[3] || object.className, method);
+            if (!label) {
+                // Objects of a class without a constructor need no setting up
+                if (method === "NEW") {
+                    this.pc++;
+                    return true;
+                }
+                throw new RuntimeError(`Class '${object.className}' has no method '${method}'`);
+            }
+
+            this.pushFrame(label);
+            const frame = this.currentFrame();
+            frame.locals.SELF = object;
+            frame.types.SELF = object.className;
+            this.pc = this.labels[label];
+            return true;
+        }
+
+        // -----------------------------------------------------------------
+        // RETURNS type (declared result type of the function being entered)
+        // -----------------------------------------------------------------
+        if (parts[0] === "RETURNS") {
+            const frame = this.currentFrame();
+            if (frame) {
+                frame.returnType = parts[1];
+            }
+            this.pc++;
+            return true;
+        }
+
+        // -----------------------------------------------------------------
+        // RETVAL value (set return value, checked against the RETURNS type)
         // -----------------------------------------------------------------
         if (parts[0] === "RETVAL") {
-            const val = this.getValue(parts.slice(1).join(" "));
-            this.returnValue = val;
+            const expr = parts.slice(1).join(" ");
+            const frame = this.currentFrame();
+            const type = frame && frame.returnType;
+            const result = {
+                value: this.coerce(this.getValue(expr), type, "function result"),
+                type: type || this.typeOf(expr)
+            };
+            if (frame) {
+                frame.result = result;
+            }
             this.pc++;
             return true;
         }
 
         // -----------------------------------------------------------------
-        // RET (return from procedure/function)
+        // RET (return from procedure/function: pop its frame and hand any
+        // result to the caller, which reads it as RETVAL)
         // -----------------------------------------------------------------
         if (parts[0] === "RET") {
-            if (this.callStack.length > 0) {
-                this.pc = this.callStack.pop();
+            const frame = this.callStack.pop();
+            if (frame) {
+                this.pc = frame.returnAddress;
+                if (frame.result) {
+                    this.returnValue = frame.result.value;
+                    this.returnType = frame.result.type;
+                }
             } else {
                 this.pc++;
             }
@@ -467,15 +1380,30 @@ class Runtime {
         // -----------------------------------------------------------------
         if (parts[0] === "OPENFILE") {
             const filename = String(this.getValue(parts[1]));
-            const mode = parts[2]; // READ, WRITE, APPEND
+            const mode = parts[2]; // READ, WRITE, APPEND, RANDOM
 
             if (!this.files[filename]) {
+                if (mode === "READ") {
+                    throw new RuntimeError(
+                        `File '${filename}' does not exist`,
+                        DiagnosticCode.FILE_ERROR,
+                        "Write it first (OPENFILE ... FOR WRITE), or create it in the Files tab."
+                    );
+                }
                 this.files[filename] = { lines: [], readPos: 0, mode: null, open: false };
             }
 
             const file = this.files[filename];
+            if (file.open) {
+                throw new RuntimeError(
+                    `File '${filename}' is already open FOR ${file.mode}`,
+                    DiagnosticCode.FILE_ERROR,
+                    `Close it with CLOSEFILE "${filename}" before opening it again.`
+                );
+            }
             file.mode = mode;
             file.open = true;
+            file.openedAt = this.currentSpan(); // for the warning if it is never closed
 
             if (mode === "WRITE") {
                 file.lines = [];
@@ -484,6 +1412,11 @@ class Runtime {
                 // Keep existing content, append position at end
             } else if (mode === "READ") {
                 file.readPos = 0;
+            } else if (mode === "RANDOM") {
+                // Keep existing records; start at the first address
+                file.records = file.records || {};
+                file.recordType = file.recordType || null;
+                file.address = 1;
             }
 
             this.pc++;
@@ -497,25 +1430,19 @@ class Runtime {
             const filename = String(this.getValue(parts[1]));
             const variable = parts[2];
 
-            const file = this.files[filename];
-            if (!file || !file.open) {
-                throw new Error(`File '${filename}' is not open`);
-            }
-            if (file.mode !== "READ") {
-                throw new Error(`File '${filename}' is not open for reading`);
-            }
+            const file = this.openFileFor(filename, "READFILE", ["READ"]);
             if (file.readPos >= file.lines.length) {
-                throw new Error(`End of file reached for '${filename}'`);
+                throw new RuntimeError(
+                    `End of file reached for '${filename}'`,
+                    DiagnosticCode.END_OF_FILE,
+                    `Check EOF("${filename}") before each READFILE.`
+                );
             }
 
             const lineData = file.lines[file.readPos];
             file.readPos++;
 
-            // Try to parse as number, otherwise keep as string
-            const parsed = parseFloat(lineData);
-            const val = isNaN(parsed) ? lineData : parsed;
-
-            this.assignTarget(variable, val);
+            this.storeText(variable, lineData);
 
             this.pc++;
             return true;
@@ -526,33 +1453,91 @@ class Runtime {
         // -----------------------------------------------------------------
         if (parts[0] === "WRITEFILE") {
             const filename = String(this.getValue(parts[1]));
-            const data = this.getValue(parts[2]);
+            const data = this.formatValue(this.getValue(parts[2]), this.typeOf(parts[2]));
+
+            const file = this.openFileFor(filename, "WRITEFILE", ["WRITE", "APPEND"]);
+            file.lines.push(data);
+
+            this.pc++;
+            return true;
+        }
+
+        // -----------------------------------------------------------------
+        // CLOSEFILE filename
+        // -----------------------------------------------------------------
+        if (parts[0] === "CLOSEFILE") {
+            const filename = String(this.getValue(parts[1]));
 
             const file = this.files[filename];
             if (!file || !file.open) {
-                throw new Error(`File '${filename}' is not open`);
+                throw new RuntimeError(
+                    `File '${filename}' is not open, so it cannot be closed`,
+                    DiagnosticCode.FILE_ERROR,
+                    "Check the file name matches the one given to OPENFILE."
+                );
+            }
+            file.open = false;
+            file.mode = null;
+
+            this.pc++;
+            return true;
+        }
+
+        // -----------------------------------------------------------------
+        // SEEK filename address (move to a record address in a RANDOM file)
+        // -----------------------------------------------------------------
+        if (parts[0] === "SEEK") {
+            const filename = String(this.getValue(parts[1]));
+            const file = this.openFileFor(filename, "SEEK", ["RANDOM"]);
+            const address = this.getValue(parts[2]);
+
+            if (!Number.isInteger(address) || address < 1) {
+                throw new RuntimeError(
+                    `Cannot SEEK to address ${this.formatValue(address)} in '${filename}'`,
+                    DiagnosticCode.FILE_ERROR,
+                    "Record addresses are whole numbers from 1."
+                );
             }
-            if (file.mode !== "WRITE" && file.mode !== "APPEND") {
-                throw new Error(`File '${filename}' is not open for writing`);
+            file.address = address;
+
+            this.pc++;
+            return true;
+        }
+
+        // -----------------------------------------------------------------
+        // GETRECORD filename variable (read the record at the current address)
+        // -----------------------------------------------------------------
+        if (parts[0] === "GETRECORD") {
+            const filename = String(this.getValue(parts[1]));
+            const file = this.openFileFor(filename, "GETRECORD", ["RANDOM"]);
+            const record = file.records[file.address];
+
+            if (record === undefined) {
+                throw new RuntimeError(
+                    `No record at address ${file.address} in '${filename}'`,
+                    DiagnosticCode.FILE_ERROR,
+                    "SEEK to an address where a record was written with PUTRECORD."
+                );
             }
+            this.checkRecordType(filename, file, this.getValue(parts[2]).typeName);
 
-            file.lines.push(String(data));
+            this.assignTarget(parts[2], this.copyValue(record));
 
             this.pc++;
             return true;
         }
 
         // -----------------------------------------------------------------
-        // CLOSEFILE filename
+        // PUTRECORD filename variable (write the record at the current address)
         // -----------------------------------------------------------------
-        if (parts[0] === "CLOSEFILE") {
+        if (parts[0] === "PUTRECORD") {
             const filename = String(this.getValue(parts[1]));
+            const file = this.openFileFor(filename, "PUTRECORD", ["RANDOM"]);
+            const record = this.getValue(parts[2]);
 
-            const file = this.files[filename];
-            if (file) {
-                file.open = false;
-                file.mode = null;
-            }
+            this.checkRecordType(filename, file, record.typeName);
+            file.recordType = record.typeName;
+            file.records[file.address] = this.copyValue(record);
 
             this.pc++;
             return true;
@@ -573,7 +1558,7 @@ class Runtime {
             const val = this.getValue(parts[1]);
             const label = parts[3];
 
-            if (val === 0 || val === false || val === undefined || val === null) {
+            if (!this.isTrue(val)) {
                 this.pc = this.labels[label];
             } else {
                 this.pc++;
@@ -589,7 +1574,7 @@ class Runtime {
             const val = this.getValue(parts[1]);
             const label = parts[3];
 
-            if (val && val !== 0) {
+            if (this.isTrue(val)) {
                 this.pc = this.labels[label];
             } else {
                 this.pc++;
@@ -604,6 +1589,7 @@ class Runtime {
         if (parts[1] === "=") {
             const target = parts[0];
             let val;
+            let type = null; // type of val, for targets without a declared type
 
             // Check for BUILTIN call: T0 = BUILTIN NAME arg1 arg2 ...
             if (parts[2] === "BUILTIN") {
@@ -611,10 +1597,12 @@ class Runtime {
                 const rawArgStr = line.substring(line.indexOf(builtinName) + builtinName.length).trim();
                 const builtinArgs = this.parseBuiltinArgs(rawArgStr);
                 val = this.executeBuiltin(builtinName, builtinArgs);
+                type = builtinResultType(builtinName, builtinArgs.map(a => this.typeOf(a)));
             }
             // Check for RETVAL assignment: T0 = RETVAL
             else if (parts.length === 3 && parts[2] === "RETVAL") {
                 val = this.returnValue;
+                type = this.returnType;
             }
             // Use token-aware parsing for everything else
             else {
@@ -622,59 +1610,294 @@ class Runtime {
                 const rhsStr = line.substring(line.indexOf("=") + 1).trim();
                 const rhsTokens = this.tokenizeRHS(rhsStr);
 
-                if (rhsTokens.length === 1) {
-                    // Simple assignment: X = Y or X = "string value"
-                    val = this.getValue(rhsTokens[0]);
+                if (rhsTokens[0] === "NEW" && rhsTokens.length === 2) {
+                    // New object: T0 = NEW Cat (CALL_METHOD T0 NEW follows)
+                    val = this.createObject(rhsTokens[1]);
+                    type = rhsTokens[1];
+                } else if (rhsTokens[0] === "SET") {
+                    // Set literal: T0 = SET a b c
+                    val = this.makeSet(rhsTokens.slice(1));
+                    type = this.valueType(val);
+                } else if (rhsTokens.length === 1) {
+                    // Simple assignment: X = Y or X = "string value".
+                    // Arrays and records are copied, never aliased
+                    val = this.copyValue(this.getValue(rhsTokens[0]));
+                    type = this.typeOf(rhsTokens[0]);
+                } else if (rhsTokens.length === 2 && rhsTokens[0] === "NOT") {
+                    // Unary NOT: T0 = NOT a
+                    const operand = this.getValue(rhsTokens[1]);
+                    this.checkBoolean("NOT", operand);
+                    val = !operand;
+                    type = "BOOLEAN";
                 } else if (rhsTokens.length === 3) {
                     // Binary op: T0 = a op b
                     const left = this.getValue(rhsTokens[0]);
                     const op = rhsTokens[1];
                     const right = this.getValue(rhsTokens[2]);
+                    const leftType = this.typeOf(rhsTokens[0]);
+                    const rightType = this.typeOf(rhsTokens[2]);
+                    type = "BOOLEAN";
 
                     switch (op) {
                         case "+":
                             if (typeof left === 'string' || typeof right === 'string') {
-                                val = String(left) + String(right);
+                                val = this.formatValue(left, leftType) + this.formatValue(right, rightType);
+                                type = "STRING";
                             } else {
+                                this.checkNumeric(op, left, right);
                                 val = left + right;
+                                type = this.resultType(op, leftType, rightType, right);
                             }
                             break;
-                        case "-": val = left - right; break;
-                        case "*": val = left * right; break;
-                        case "/": val = left / right; break;
-                        case "DIV": val = Math.trunc(left / right); break;
-                        case "MOD": val = left % right; break;
-                        case "^": val = Math.pow(left, right); break;
+                        case "-":
+                        case "*":
+                        case "/":
+                        case "DIV":
+                        case "MOD":
+                        case "^":
+                            this.checkNumeric(op, left, right);
+                            val = this.arithmetic(op, left, right);
+                            type = this.resultType(op, leftType, rightType, right);
+                            break;
 
                         case "&":
-                            val = String(left) + String(right);
+                            val = this.formatValue(left, leftType) + this.formatValue(right, rightType);
+                            type = "STRING";
+                            break;
+
+                        // A boolean is only ever equal to a boolean
+                        case "==": val = this.isEqual(left, right); break;
+                        case "!=": val = !this.isEqual(left, right); break;
+
+                        case "<":
+                        case ">":
+                        case "<=":
+                        case ">=":
+                            this.checkOrdered(op, left, right);
+                            val = this.compare(op, left, right);
                             break;
 
-                        case "==": val = (left == right ? 1 : 0); break;
-                        case "!=": val = (left != right ? 1 : 0); break;
-                        case "<":  val = (left < right  ? 1 : 0); break;
-                        case ">":  val = (left > right  ? 1 : 0); break;
-                        case "<=": val = (left <= right ? 1 : 0); break;
-                        case ">=": val = (left >= right ? 1 : 0); break;
+                        case "IN":
+                            this.checkSets(op, right);
+                            val = right.has(left);
+                            break;
+                        case "UNION":
+                        case "INTERSECT":
+                        case "DIFFERENCE":
+                            this.checkSets(op, left, right);
+                            val = op === "UNION" ? left.union(right)
+                                : op === "INTERSECT" ? left.intersection(right)
+                                : left.difference(right);
+                            type = this.valueType(val);
+                            break;
 
-                        case "&&": val = (left && right ? 1 : 0); break;
-                        case "||": val = (left || right ? 1 : 0); break;
+                        case "&&":
+                        case "||":
+                            this.checkBoolean(op === "&&" ? "AND" : "OR", left, right);
+                            val = op === "&&" ? left && right : left || right;
+                            break;
 
                         default:
-                            throw new Error(`Unknown operator: ${op}`);
+                            throw new RuntimeError(`Unknown operator: ${op}`, DiagnosticCode.INTERNAL_ERROR);
                     }
                 } else {
-                    throw new Error(`Cannot parse assignment: ${line}`);
+                    throw new RuntimeError(`Cannot parse assignment: ${line}`, DiagnosticCode.INTERNAL_ERROR);
                 }
             }
 
-            this.assignTarget(target, val);
+            this.assignTarget(target, val, type);
 
             this.pc++;
             return true;
         }
 
-        throw new Error(`Unknown instruction: ${line}`);
+        throw new RuntimeError(`Unknown instruction: ${line}`, DiagnosticCode.INTERNAL_ERROR);
+    }
+
+    // ------------------------------------------
+    // Files
+    // ------------------------------------------
+
+    // The file a statement uses, which must be open in one of `modes`
+    openFileFor(filename, statement, modes) {
+        const file = this.files[filename];
+        if (!file || !file.open) {
+            throw new RuntimeError(
+                `File '${filename}' is not open`,
+                DiagnosticCode.FILE_ERROR,
+                `Open it first with OPENFILE "${filename}" FOR ${modes[0]}.`
+            );
+        }
+        if (!modes.includes(file.mode)) {
+            throw new RuntimeError(
+                `${statement} needs '${filename}' to be open FOR ${modes.join(" or ")}, not FOR ${file.mode}`,
+                DiagnosticCode.FILE_ERROR,
+                `Close it, then open it again FOR ${modes[0]}.`
+            );
+        }
+        return file;
+    }
+
+    // When the program ends, a warning for each file it left open
+    checkFilesClosed() {
+        for (const [name, file] of Object.entries(this.files)) {
+            if (!file.open) continue;
+            this.warnings.push(new Diagnostic({
+                code: DiagnosticCode.FILE_LEFT_OPEN,
+                severity: Severity.WARNING,
+                phase: Phase.RUNTIME,
+                message: `File '${name}' was still open when the program ended`,
+                range: file.openedAt || null,
+                hint: `Close it with CLOSEFILE "${name}" when the program has finished with it.`
+            }));
+        }
+    }
+
+    // Every record in a RANDOM file has the same TYPE
+    checkRecordType(filename, file, typeName) {
+        if (file.recordType && typeName !== file.recordType) {
+            throw new RuntimeError(
+                `'${filename}' holds ${file.recordType} records, not ${typeName}`,
+                DiagnosticCode.TYPE_ERROR
+            );
+        }
+    }
+
+    // The records of a RANDOM file as text, for the Files pane: a column
+    // per field and a row per address in use, e.g.
+    //   { type: "Student", fields: ["Name", "Age"],
+    //     rows: [{ address: 1, values: ["Ann", "17"] }] }
+    recordTable(file) {
+        const records = file.records || {};
+        const fields = (this.types[file.recordType] || []).map(f => f.name);
+        const rows = Object.keys(records).map(Number).sort((a, b) => a - b).map(address => {
+            const record = records[address];
+            const values = fields.map(name => this.cellText(record[name], this.fieldType(record, name)));
+            return { address, values };
+        });
+        return { type: file.recordType, fields, rows };
+    }
+
+    // A field as text for recordTable: arrays list their elements, [3, 5]
+    cellText(value, type) {
+        if (!this.isStructured(value)) return this.formatValue(value, type);
+        if (value.typeName) return this.describeArgument(value);
+
+        const elementType = value.elementType || type;
+        return `[${Object.values(value).map(v => this.cellText(v, elementType)).join(", ")}]`;
+    }
+
+    // ------------------------------------------
+    // Operators
+    // ------------------------------------------
+    // Conditions produce real booleans. Arithmetic and ordering never
+    // accept them, so TRUE + 1 is an error rather than 2.
+
+    isTrue(val) {
+        return val === true || (typeof val === 'number' && val !== 0);
+    }
+
+    isEqual(left, right) {
+        if (typeof left === 'boolean' || typeof right === 'boolean') {
+            return left === right;
+        }
+        if (left instanceof DateValue || right instanceof DateValue) {
+            return left instanceof DateValue && left.equals(right);
+        }
+        if (left instanceof PointerValue || right instanceof PointerValue) {
+            return left instanceof PointerValue && left.equals(right);
+        }
+        if (left instanceof SetValue || right instanceof SetValue) {
+            return left instanceof SetValue && left.equals(right);
+        }
+        return left == right;
+    }
+
+    // Dates are ordered by when they fall
+    compare(op, left, right) {
+        if (left instanceof DateValue && right instanceof DateValue) {
+            left = left.serial();
+            right = right.serial();
+        }
+        switch (op) {
+            case "<":  return left < right;
+            case ">":  return left > right;
+            case "<=": return left <= right;
+            case ">=": return left >= right;
+        }
+    }
+
+    arithmetic(op, left, right) {
+        if ((op === "/" || op === "DIV" || op === "MOD") && right === 0) {
+            throw new RuntimeError("Division by zero", DiagnosticCode.DIVISION_BY_ZERO);
+        }
+        switch (op) {
+            case "+":   return left + right;
+            case "-":   return left - right;
+            case "*":   return left * right;
+            case "/":   return left / right;
+            case "DIV": return Math.trunc(left / right);
+            case "MOD": return left % right;
+            case "^":   return Math.pow(left, right);
+        }
+    }
+
+    checkNumeric(op, ...operands) {
+        if (operands.some(v => typeof v === 'boolean')) {
+            throw new RuntimeError(
+                `Cannot apply '${op}' to a BOOLEAN value`,
+                DiagnosticCode.TYPE_ERROR,
+                "Arithmetic needs numbers; BOOLEAN values are only TRUE or FALSE."
+            );
+        }
+        if (operands.some(v => v instanceof DateValue)) {
+            throw new RuntimeError(`Cannot apply '${op}' to a DATE value`, DiagnosticCode.TYPE_ERROR,
+                "Use DAY, MONTH and YEAR to work with the parts of a date.");
+        }
+    }
+
+    checkOrdered(op, ...operands) {
+        if (operands.some(v => typeof v === 'boolean')) {
+            throw new RuntimeError(
+                `Cannot compare BOOLEAN values with '${op}'`,
+                DiagnosticCode.TYPE_ERROR,
+                "BOOLEAN values can only be compared with = or <>."
+            );
+        }
+        const dates = operands.filter(v => v instanceof DateValue).length;
+        if (dates > 0 && dates < operands.length) {
+            throw new RuntimeError(`Cannot compare a DATE with a value of another type using '${op}'`, DiagnosticCode.TYPE_ERROR);
+        }
+    }
+
+    checkSets(op, ...operands) {
+        if (operands.some(v => !(v instanceof SetValue))) {
+            throw new RuntimeError(`'${op}' needs a set`, DiagnosticCode.TYPE_ERROR);
+        }
+    }
+
+    // The set of the given operands. Its elements take the type of the
+    // first: a CHAR (from a one-character string), INTEGER or enumerated value.
+    makeSet(operands) {
+        if (operands.length === 0) return new SetValue(null, []);
+
+        const firstType = this.typeOf(operands[0]);
+        const base = firstType === "STRING" ? "CHAR" : firstType;
+        const elements = operands.map(x => {
+            const val = this.getValue(x);
+            if (base === "CHAR" && (typeof val !== 'string' || val.length !== 1)) {
+                throw new RuntimeError(`A set of CHAR cannot hold ${this.formatValue(val)}`, DiagnosticCode.TYPE_ERROR,
+                    "A set of CHAR holds single characters.");
+            }
+            return val;
+        });
+        return new SetValue(base, elements);
+    }
+
+    checkBoolean(op, ...operands) {
+        if (operands.some(v => typeof v !== 'boolean')) {
+            throw new RuntimeError(`'${op}' needs BOOLEAN operands`, DiagnosticCode.TYPE_ERROR);
+        }
     }
 
     // ------------------------------------------
@@ -691,8 +1914,7 @@ class Runtime {
             if (i >= str.length) break;
 
             if (str[i] === '"') {
-                let j = i + 1;
-                while (j < str.length && str[j] !== '"') j++;
+                const j = this.quotedEnd(str, i);
                 tokens.push(str.substring(i, j + 1));
                 i = j + 1;
             } else {
@@ -705,6 +1927,16 @@ class Runtime {
         return tokens;
     }
 
+    // Index of the quote closing the string literal that opens at start.
+    // A backslash escapes the character after it (see IRGenerator).
+    quotedEnd(str, start) {
+        let j = start + 1;
+        while (j < str.length && str[j] !== '"') {
+            j += str[j] === "\\" ? 2 : 1;
+        }
+        return j;
+    }
+
     // Parse space-separated arguments, respecting quoted strings
     parseBuiltinArgs(str) {
         if (!str) return [];
@@ -717,8 +1949,7 @@ class Runtime {
 
             if (str[i] === '"') {
                 // Quoted string: find matching end quote
-                let j = i + 1;
-                while (j < str.length && str[j] !== '"') j++;
+                const j = this.quotedEnd(str, i);
                 args.push(str.substring(i, j + 1)); // include quotes
                 i = j + 1;
             } else {
@@ -732,82 +1963,163 @@ class Runtime {
         return args;
     }
 
+    // Built-ins and their argument and result types are listed in BUILTINS
+    // (builtins.js); the semantic analyser has checked the argument types.
     executeBuiltin(name, rawArgs) {
         const args = rawArgs.map(a => this.getValue(a));
+        this.checkBuiltinArgs(name, args);
 
         switch (name) {
             // --- String functions ---
             case "LENGTH":
-                return String(args[0]).length;
+                return args[0].length;
 
             case "LCASE":
             case "TO_LOWER":
-                return String(args[0]).toLowerCase();
+                return args[0].toLowerCase();
 
             case "UCASE":
             case "TO_UPPER":
-                return String(args[0]).toUpperCase();
+                return args[0].toUpperCase();
 
             case "MID": {
-                // MID(s, start, length) — CIE uses 1-based indexing
-                const s = String(args[0]);
-                const start = Math.floor(args[1]) - 1; // convert to 0-based
-                const len = Math.floor(args[2]);
-                return s.substring(start, start + len);
-            }
-
-            case "LEFT": {
-                const s = String(args[0]);
-                const n = Math.floor(args[1]);
-                return s.substring(0, n);
+                // MID(s, start, length) — CIE uses 1-based positions
+                const [s, start, len] = args;
+                if (start < 1) {
+                    throw this.builtinError(name, `start position must be at least 1, got ${start}`);
+                }
+                this.checkLength(name, len);
+                if (start + len - 1 > s.length) {
+                    throw this.builtinError(name,
+                        `${len} character(s) from position ${start} go past the end of "${s}" (length ${s.length})`);
+                }
+                return s.substring(start - 1, start - 1 + len);
             }
 
+            case "LEFT":
             case "RIGHT": {
-                const s = String(args[0]);
-                const n = Math.floor(args[1]);
-                return s.substring(s.length - n);
+                const [s, n] = args;
+                this.checkLength(name, n);
+                if (n > s.length) {
+                    throw this.builtinError(name, `cannot take ${n} character(s) from "${s}" (length ${s.length})`);
+                }
+                return name === "LEFT" ? s.substring(0, n) : s.substring(s.length - n);
             }
 
+            case "ASC":
+                return args[0].charCodeAt(0);
+
+            case "CHR":
+                if (args[0] < 0 || args[0] > 65535) {
+                    throw this.builtinError(name, `${args[0]} is not a character code`);
+                }
+                return String.fromCharCode(args[0]);
+
+            // --- Conversion functions ---
+            case "NUM_TO_STR":
+                return this.formatValue(args[0], this.typeOf(rawArgs[0]));
+
+            case "STR_TO_NUM":
+                if (!this.isNumericText(args[0])) {
+                    throw new RuntimeError(`STR_TO_NUM: cannot convert '${args[0]}' to a number`, DiagnosticCode.CONVERSION_FAILED,
+                        "Check it first with IS_NUM.");
+                }
+                return parseFloat(args[0]);
+
+            case "IS_NUM":
+                return this.isNumericText(args[0]);
+
             // --- Numeric functions ---
             case "INT":
                 return Math.trunc(args[0]);
 
             case "RAND":
-                return Math.floor(Math.random() * (Math.floor(args[0]) + 1));
+                // A REAL in the range 0 to x, not including x
+                if (args[0] < 1) {
+                    throw this.builtinError(name, `the range must be at least 1, got ${args[0]}`);
+                }
+                return Math.random() * args[0];
 
-            // --- Conversion functions ---
-            case "NUM_TO_STR":
-                return String(args[0]);
+            case "ROUND":
+                if (args[1] < 0) {
+                    throw this.builtinError(name, `number of decimal places must not be negative, got ${args[1]}`);
+                }
+                return this.roundTo(args[0], args[1]);
+
+            case "DIV":
+            case "MOD":
+                return this.arithmetic(name, args[0], args[1]);
+
+            // --- Date functions ---
+            case "DAY":
+                return args[0].day;
 
-            case "STR_TO_NUM": {
-                const parsed = parseFloat(args[0]);
-                if (isNaN(parsed)) {
-                    throw new Error(`STR_TO_NUM: cannot convert '${args[0]}' to a number`);
+            case "MONTH":
+                return args[0].month;
+
+            case "YEAR":
+                return args[0].year;
+
+            case "DAYINDEX":
+                return args[0].dayIndex();
+
+            case "SETDATE": {
+                const [day, month, year] = args;
+                if (!DateValue.isValid(day, month, year)) {
+                    throw this.builtinError(name, `${day}/${month}/${year} is not a valid date`);
                 }
-                return parsed;
+                return new DateValue(day, month, year);
             }
 
-            case "CHR":
-                return String.fromCharCode(Math.floor(args[0]));
-
-            case "ASC":
-                return String(args[0]).charCodeAt(0);
+            case "NOW":
+                return DateValue.fromJSDate(this.clock());
 
             // --- File functions ---
             case "EOF": {
-                const filename = String(args[0]);
-                const file = this.files[filename];
-                if (!file || !file.open) {
-                    return 1; // treat as EOF if file doesn't exist or isn't open
-                }
-                return file.readPos >= file.lines.length ? 1 : 0;
+                const file = this.openFileFor(String(args[0]), "EOF", ["READ"]);
+                return file.readPos >= file.lines.length;
             }
 
             default:
-                throw new Error(`Unknown built-in function: ${name}`);
+                throw new RuntimeError(`Unknown built-in function: ${name}`, DiagnosticCode.INTERNAL_ERROR);
         }
     }
 
+    builtinError(name, problem) {
+        return new RuntimeError(`${name}: ${problem}`, DiagnosticCode.INVALID_ARGUMENT);
+    }
+
+    // A STRING passed for a CHAR parameter must hold exactly one character
+    checkBuiltinArgs(name, args) {
+        BUILTINS.get(name).params.forEach((type, i) => {
+            if (type === "CHAR" && (typeof args[i] !== 'string' || args[i].length !== 1)) {
+                const shown = typeof args[i] === 'string' ? `"${args[i]}"` : this.formatValue(args[i]);
+                throw this.builtinError(name, `expects a single character, got ${shown}`);
+            }
+        });
+    }
+
+    checkLength(name, n) {
+        if (n < 0) {
+            throw this.builtinError(name, `number of characters must not be negative, got ${n}`);
+        }
+    }
+
+    // Round half away from zero to a number of decimal places. Shifting by
+    // an exponent in text avoids binary error, so ROUND(1.005, 2) is 1.01.
+    // toExponential gives "d.ddde+n" for tiny and huge numbers alike.
+    roundTo(x, places) {
+        if (Number.isInteger(x) || !Number.isFinite(x)) return x;
+
+        const [digits, exponent] = Math.abs(x).toExponential().split("e");
+        const shifted = Math.round(Number(`${digits}e${Number(exponent) + places}`));
+        if (shifted === 0) return 0;
+        if (!Number.isFinite(shifted)) return x;    // more places than x has digits
+
+        const [mantissa, power] = shifted.toExponential().split("e");
+        return Math.sign(x) * Number(`${mantissa}e${Number(power) - places}`);
+    }
+
     // ------------------------------------------
     // Run until completion
     // ------------------------------------------
@@ -819,13 +2131,14 @@ class Runtime {
         while (this.step()) {
             safety++;
             if (safety > MAX_STEPS) {
-                throw new Error("Infinite loop detected (exceeded 10,000,000 steps)");
+                throw this.locateError(new RuntimeError("Infinite loop detected (exceeded 10,000,000 steps)", DiagnosticCode.STEP_LIMIT));
             }
         }
 
         return {
             vars: this.globals,
-            output: this.output
+            output: this.output,
+            warnings: this.warnings
         };
     }
 
@@ -837,18 +2150,23 @@ class Runtime {
         const result = this.step();
 
         if (result === 'WAIT_INPUT' && this.pendingInput) {
-            const { target } = this.pendingInput;
-
-            let varName = target;
-            if (target.includes('[')) {
-                const match = target.match(/^(\w+)\[/);
-                if (match) varName = match[1];
+            const { target, type } = this.pendingInput;
+
+            // The variable the path starts from: Students[T0].Name -> Students
+            const varName = target.match(/^\w+/)[0];
+
+            // Invalid entries are reported and asked for again (unless strict)
+            for (;;) {
+                const value = await this.readInput(varName, type);
+                try {
+                    this.storeText(target, value, type);
+                    break;
+                } catch (err) {
+                    if (!this.isRetryableInput(err)) throw this.locateError(err);
+                    if (this.reportInvalidInput) this.reportInvalidInput(err);
+                }
             }
 
-            const value = await this.readInput(varName);
-
-            this.assignTarget(target, value);
-
             this.pendingInput = null;
             this.pc++;
             return true;
@@ -872,7 +2190,7 @@ class Runtime {
 
         while (true) {
             if (this.halted) {
-                throw new Error("Program stopped by user");
+                throw new RuntimeError("Program stopped by user", DiagnosticCode.STOPPED);
             }
 
             const result = await this.stepAsync();
@@ -880,7 +2198,7 @@ class Runtime {
 
             safety++;
             if (safety > MAX_STEPS) {
-                throw new Error("Infinite loop detected (exceeded 10,000,000 steps)");
+                throw this.locateError(new RuntimeError("Infinite loop detected (exceeded 10,000,000 steps)", DiagnosticCode.STEP_LIMIT));
             }
 
             // Yield to the browser periodically so UI can repaint
@@ -891,7 +2209,8 @@ class Runtime {
 
         return {
             vars: this.globals,
-            output: this.output
+            output: this.output,
+            warnings: this.warnings
         };
     }
 }
@@ -1,12 +1,28 @@
 // ============================================================
 // SEMANTIC ERROR CLASS
 // ============================================================
-// Depends on: nothing
+// Depends on: diagnostics.js, builtins.js (BUILTINS)
 
-class SemanticError extends Error {
-    constructor(message, node = null) {
-        super(message);
+class SemanticError extends DiagnosticError {
+    constructor(message, code = DiagnosticCode.SEMANTIC_ERROR, hint = null) {
+        super(Phase.SEMANTIC, message, code, hint);
+        this.node = null;
+        this.silent = false;
+    }
+
+    // An error that only follows from one already reported: it abandons
+    // the statement but is not reported again
+    silence() {
+        this.silent = true;
+        return this;
+    }
+
+    // Locate at an AST node. Only the first (innermost) node sticks,
+    // so errors raised deep inside an expression keep its position.
+    locate(node) {
+        if (this.span || !node || !node.span) return this;
         this.node = node;
+        return super.locate(node.span);
     }
 }
 
@@ -16,6 +32,10 @@ class SemanticError extends Error {
 // ============================================================
 // Tracks variables, their types, and assignment status.
 
+// The type of a variable whose declaration failed. It counts as assigned,
+// and a statement that uses it is abandoned without a further error.
+const ERROR_TYPE = "ERROR";
+
 class SymbolTable {
     constructor(parent = null) {
         this.table = new Map();
@@ -24,7 +44,7 @@ class SymbolTable {
 
     declare(name, type, arrayDimensions = null, isConstant = false) {
         if (this.table.has(name)) {
-            throw new SemanticError(`Variable '${name}' already declared.`);
+            throw new SemanticError(`Variable '${name}' already declared.`, DiagnosticCode.ALREADY_DECLARED);
         }
         this.table.set(name, {
             type,
@@ -38,10 +58,10 @@ class SymbolTable {
     assign(name) {
         const entry = this.resolve(name);
         if (!entry) {
-            throw new SemanticError(`Variable '${name}' not declared.`);
+            throw new SemanticError(`Variable '${name}' not declared.`, DiagnosticCode.UNDECLARED);
         }
         if (entry.isConstant && entry.assigned) {
-            throw new SemanticError(`Cannot reassign CONSTANT '${name}'.`);
+            throw new SemanticError(`Cannot reassign CONSTANT '${name}'.`, DiagnosticCode.CONSTANT_REASSIGNED);
         }
         entry.assigned = true;
     }
@@ -49,10 +69,11 @@ class SymbolTable {
     require(name) {
         const entry = this.resolve(name);
         if (!entry) {
-            throw new SemanticError(`Variable '${name}' not declared.`);
+            throw new SemanticError(`Variable '${name}' not declared.`, DiagnosticCode.UNDECLARED);
         }
+        SymbolTable.checkUsable(name, entry);
         if (!entry.assigned) {
-            throw new SemanticError(`Variable '${name}' used before assignment.`);
+            throw new SemanticError(`Variable '${name}' used before assignment.`, DiagnosticCode.UNASSIGNED);
         }
         return entry.type;
     }
@@ -60,11 +81,18 @@ class SymbolTable {
     getType(name) {
         const entry = this.resolve(name);
         if (!entry) {
-            throw new SemanticError(`Variable '${name}' not declared.`);
+            throw new SemanticError(`Variable '${name}' not declared.`, DiagnosticCode.UNDECLARED);
         }
+        SymbolTable.checkUsable(name, entry);
         return entry.type;
     }
 
+    static checkUsable(name, entry) {
+        if (entry.type === ERROR_TYPE) {
+            throw new SemanticError(`Variable '${name}' has no valid type.`).silence();
+        }
+    }
+
     get(name) {
         return this.resolve(name);
     }
@@ -86,36 +114,37 @@ class SymbolTable {
 }
 
 
+// The modes a file must be opened in for each statement that uses it
+const FILE_MODES_NEEDED = {
+    ReadFile: ["READ"],
+    WriteFile: ["WRITE", "APPEND"],
+    Seek: ["RANDOM"],
+    GetRecord: ["RANDOM"],
+    PutRecord: ["RANDOM"]
+};
+
+
 // ============================================================
 // SEMANTIC ANALYZER
 // ============================================================
-// Walks the AST and performs all semantic checks.
+// Walks the AST and performs all semantic checks. An error aborts only
+// the statement it occurs in; every error is collected in `diagnostics`,
+// along with warnings from the file usage pass (see checkFileUsage).
 
 class SemanticAnalyzer {
     constructor() {
+        this.diagnostics = [];
         this.symbols = new SymbolTable();
         this.procedures = new Map(); // name -> { params: [...] }
         this.functions = new Map();  // name -> { params: [...], returnType: string }
         this.userTypes = new Map();  // name -> { fields: [{ name, type }] }
-
-        // Built-in function signatures: name -> { argCount, returnType }
-        this.builtins = new Map([
-            ["LENGTH",      { argCount: 1, returnType: "INTEGER" }],
-            ["LCASE",       { argCount: 1, returnType: "STRING" }],
-            ["UCASE",       { argCount: 1, returnType: "STRING" }],
-            ["TO_LOWER",    { argCount: 1, returnType: "STRING" }],
-            ["TO_UPPER",    { argCount: 1, returnType: "STRING" }],
-            ["MID",         { argCount: 3, returnType: "STRING" }],
-            ["LEFT",        { argCount: 2, returnType: "STRING" }],
-            ["RIGHT",       { argCount: 2, returnType: "STRING" }],
-            ["INT",         { argCount: 1, returnType: "INTEGER" }],
-            ["RAND",        { argCount: 1, returnType: "INTEGER" }],
-            ["NUM_TO_STR",  { argCount: 1, returnType: "STRING" }],
-            ["STR_TO_NUM",  { argCount: 1, returnType: "REAL" }],
-            ["CHR",         { argCount: 1, returnType: "CHAR" }],
-            ["ASC",         { argCount: 1, returnType: "INTEGER" }],
-            ["EOF",         { argCount: 1, returnType: "BOOLEAN" }],
-        ]);
+        this.enumTypes = new Map();  // name -> value names, in order
+        this.enumValues = new Map(); // value name -> enumerated type name
+        this.pointerTypes = new Map(); // name -> type pointed to
+        this.setTypes = new Map();   // name -> type of the elements
+        this.classes = new Map();    // name -> Class node
+        this.currentClass = null;    // class whose method is being checked
+        // Built-in function signatures are shared with the other phases (BUILTINS)
     }
 
     analyze(programNode) {
@@ -123,6 +152,17 @@ class SemanticAnalyzer {
         for (const stmt of programNode.statements) {
             if (stmt.type === "TypeDef") {
                 this.userTypes.set(stmt.name, { fields: stmt.fields });
+            } else if (stmt.type === "PointerDef") {
+                this.pointerTypes.set(stmt.name, stmt.target);
+            } else if (stmt.type === "SetDef") {
+                this.setTypes.set(stmt.name, stmt.baseType);
+            } else if (stmt.type === "Class") {
+                this.classes.set(stmt.name, stmt);
+            } else if (stmt.type === "EnumDef") {
+                this.enumTypes.set(stmt.name, stmt.values);
+                for (const value of stmt.values) {
+                    if (!this.enumValues.has(value)) this.enumValues.set(value, stmt.name);
+                }
             } else if (stmt.type === "Procedure") {
                 this.procedures.set(stmt.name, { params: stmt.params });
             } else if (stmt.type === "Function") {
@@ -134,7 +174,607 @@ class SemanticAnalyzer {
         for (const stmt of programNode.statements) {
             this.checkStatement(stmt);
         }
-        return true;
+
+        // Then look for files used in ways that fail when the program runs
+        this.checkFileUsage(programNode.statements);
+        return !hasErrors(this.diagnostics);
+    }
+
+    // Warnings are reported but do not stop the program compiling
+    warn(node, message, code, hint = null) {
+        this.diagnostics.push(new Diagnostic({
+            code,
+            severity: Severity.WARNING,
+            phase: Phase.SEMANTIC,
+            message,
+            range: node.span || null,
+            hint
+        }));
+    }
+
+    // ------------------------------------------
+    // FILE USAGE
+    // ------------------------------------------
+    // Files named by string literals are followed through the program:
+    //   - READFILE, WRITEFILE, SEEK, GETRECORD and PUTRECORD on a file that
+    //     is never opened in a mode that allows them
+    //   - a file the main program opens but does not close on every path,
+    //     or opens again while it is still open
+    // These are warnings: calls are not followed, so a file opened or closed
+    // inside a procedure or function is only checked for its modes.
+
+    checkFileUsage(statements) {
+        const uses = this.fileStatements(statements);
+        this.checkFileModes(uses);
+
+        const files = {
+            opened: new Set(uses.filter(u => u.node.type === "OpenFile").map(u => this.fileName(u.node))),
+            inRoutines: new Set(uses.filter(u => u.inRoutine).map(u => this.fileName(u.node)))
+        };
+        const open = this.openFilesAfter(statements, new Map(), files);
+        for (const [name, { node, always }] of open) {
+            this.warn(node,
+                always ? `File '${name}' is opened but never closed.` : `File '${name}' is not closed on every path through the program.`,
+                DiagnosticCode.FILE_NOT_CLOSED,
+                `Add CLOSEFILE "${name}" when the program has finished with it.`
+            );
+        }
+    }
+
+    // The literal file name a file statement uses, or null
+    fileName(node) {
+        return node.filename && node.filename.type === "StringLiteral" ? node.filename.value : null;
+    }
+
+    // Every file statement, noting those inside a procedure, function or class
+    fileStatements(statements, inRoutine = false, found = []) {
+        for (const node of statements) {
+            if (node.filename) {
+                found.push({ node, inRoutine });
+            }
+            const routine = inRoutine || ["Procedure", "Function", "Class"].includes(node.type);
+            for (const block of this.childBlocks(node)) {
+                this.fileStatements(block, routine, found);
+            }
+        }
+        return found;
+    }
+
+    // The statement lists nested directly inside a statement
+    childBlocks(node) {
+        switch (node.type) {
+            case "If":        return [node.thenBlock, node.elseBlock];
+            case "Case":      return [...node.branches.map(b => b.body), node.otherwiseBranch];
+            case "While":
+            case "For":
+            case "Repeat":
+            case "Procedure":
+            case "Function":  return [node.body];
+            case "Class":     return node.methods.map(m => m.body);
+            default:          return [];
+        }
+    }
+
+    checkFileModes(uses) {
+        // A file opened by a name worked out at run time could be any of them
+        if (uses.some(u => u.node.type === "OpenFile" && this.fileName(u.node) === null)) return;
+
+        const modes = new Map(); // file name -> modes it is opened in
+        for (const { node } of uses) {
+            const name = this.fileName(node);
+            if (node.type !== "OpenFile") continue;
+            if (!modes.has(name)) modes.set(name, new Set());
+            modes.get(name).add(node.mode);
+        }
+
+        for (const { node } of uses) {
+            const name = this.fileName(node);
+            if (name === null || node.type === "OpenFile") continue;
+
+            const opened = modes.get(name) || new Set();
+            const statement = node.type.toUpperCase();
+            if (opened.size === 0) {
+                this.warn(node, `${statement} uses '${name}', which is never opened.`, DiagnosticCode.FILE_MODE,
+                    node.type === "CloseFile" ? null : `Open it first with OPENFILE "${name}" FOR ${FILE_MODES_NEEDED[node.type][0]}.`);
+                continue;
+            }
+
+            const needed = FILE_MODES_NEEDED[node.type];
+            if (needed && !needed.some(mode => opened.has(mode))) {
+                this.warn(node,
+                    `${statement} uses '${name}', which is only opened FOR ${[...opened].join(" or FOR ")}.`,
+                    DiagnosticCode.FILE_MODE,
+                    `${statement} needs the file open FOR ${needed.join(" or ")}.`
+                );
+            }
+        }
+    }
+
+    // The files still open after running `statements`, given those open
+    // before: name -> { node: the OPENFILE, always: open on every path }.
+    // Loops are followed once, and may also run zero times (except REPEAT).
+    // `files` holds the names opened anywhere and those used in routines.
+    openFilesAfter(statements, open, files) {
+        for (const node of statements) {
+            const name = this.fileName(node);
+            switch (node.type) {
+                case "OpenFile":
+                    if (name === null || files.inRoutines.has(name)) break;
+                    if (open.has(name) && open.get(name).always) {
+                        this.warn(node, `File '${name}' is opened again while it is still open.`, DiagnosticCode.FILE_ALREADY_OPEN,
+                            `Close it with CLOSEFILE "${name}" before opening it again.`);
+                    }
+                    open.set(name, { node, always: true });
+                    break;
+
+                case "CloseFile":
+                    if (name !== null && files.opened.has(name) && !files.inRoutines.has(name) && !open.has(name)) {
+                        this.warn(node, `File '${name}' is closed when it is not open.`, DiagnosticCode.FILE_NOT_OPEN,
+                            "Each CLOSEFILE should follow an OPENFILE of the same file.");
+                    }
+                    open.delete(name);
+                    break;
+
+                case "If":
+                    open = this.mergeOpenFiles([node.thenBlock, node.elseBlock].map(block => this.openFilesAfter(block, new Map(open), files)));
+                    break;
+
+                case "Case":
+                    open = this.mergeOpenFiles(this.childBlocks(node).map(block => this.openFilesAfter(block, new Map(open), files)));
+                    break;
+
+                case "While":
+                case "For":
+                    open = this.mergeOpenFiles([open, this.openFilesAfter(node.body, new Map(open), files)]);
+                    break;
+
+                case "Repeat":
+                    open = this.openFilesAfter(node.body, open, files);
+                    break;
+            }
+        }
+        return open;
+    }
+
+    // Where paths join, a file is open on every path only if it was on each
+    mergeOpenFiles(paths) {
+        const merged = new Map();
+        for (const path of paths) {
+            for (const [name, entry] of path) {
+                if (merged.has(name)) continue;
+                const always = paths.every(p => p.has(name) && p.get(name).always);
+                merged.set(name, { node: entry.node, always });
+            }
+        }
+        return merged;
+    }
+
+    // ------------------------------------------
+    // TYPE NAMES
+    // ------------------------------------------
+
+    // A type name is a built-in type or a TYPE defined in the program
+    checkTypeExists(typeName) {
+        if (typeName && !["INTEGER", "REAL", "STRING", "BOOLEAN", "CHAR", "DATE"].includes(typeName)) {
+            if (!this.userTypes.has(typeName) && !this.enumTypes.has(typeName) &&
+                !this.pointerTypes.has(typeName) && !this.setTypes.has(typeName) && !this.classes.has(typeName)) {
+                throw new SemanticError(`Unknown type '${typeName}'.`, DiagnosticCode.UNKNOWN_TYPE, "Did you define it with TYPE...ENDTYPE?");
+            }
+        }
+    }
+
+    // Each value names exactly one thing: it appears once, in one
+    // enumerated type, and no type shares its name
+    checkEnumDef(node) {
+        if (this.userTypes.has(node.name)) {
+            throw new SemanticError(`TYPE '${node.name}' is already defined.`, DiagnosticCode.ALREADY_DECLARED);
+        }
+
+        node.values.forEach((value, i) => {
+            if (node.values.indexOf(value) !== i) {
+                throw new SemanticError(`Value '${value}' appears twice in TYPE '${node.name}'.`, DiagnosticCode.ALREADY_DECLARED);
+            }
+            const owner = this.enumValues.get(value);
+            if (owner !== node.name) {
+                throw new SemanticError(`Value '${value}' already belongs to TYPE '${owner}'.`, DiagnosticCode.ALREADY_DECLARED);
+            }
+        });
+    }
+
+    // ------------------------------------------
+    // POINTERS
+    // ------------------------------------------
+    // A pointer type is named by TYPE (TIntPointer = ^INTEGER); @X has the
+    // unnamed type "^INTEGER" and NULL the type "NULL". Pointers to the
+    // same type are interchangeable, and NULL suits any pointer.
+
+    // The type a pointer type points to, or null if it is not a pointer
+    pointerTarget(typeName) {
+        if (typeof typeName !== "string") return null;
+        if (typeName.startsWith("^")) return typeName.slice(1);
+        return this.pointerTypes.get(typeName) || null;
+    }
+
+    // Can values of these two types be compared or assigned to each other?
+    pointersCompatible(a, b) {
+        const targetA = a === "NULL" ? null : this.pointerTarget(a);
+        const targetB = b === "NULL" ? null : this.pointerTarget(b);
+        if (a === "NULL") return b === "NULL" || targetB !== null;
+        if (b === "NULL") return targetA !== null;
+        return targetA !== null && targetA === targetB;
+    }
+
+    // ------------------------------------------
+    // SETS
+    // ------------------------------------------
+    // A set type is named by TYPE (LetterSet = SET OF CHAR). A set literal
+    // has the unnamed type "SET OF CHAR", and [] is "SET OF ANY", which
+    // suits every set. Sets of the same element type are interchangeable.
+
+    // The type of the elements of a set type, or null if it is not a set
+    setBase(typeName) {
+        if (typeof typeName !== "string") return null;
+        if (typeName.startsWith("SET OF ")) return typeName.slice("SET OF ".length);
+        return this.setTypes.get(typeName) || null;
+    }
+
+    setsCompatible(a, b) {
+        const baseA = this.setBase(a);
+        const baseB = this.setBase(b);
+        if (!baseA || !baseB) return false;
+        return baseA === baseB || baseA === "ANY" || baseB === "ANY";
+    }
+
+    // Sets hold values that can be listed in order
+    isSetBase(typeName) {
+        return typeName === "CHAR" || typeName === "INTEGER" || this.enumTypes.has(typeName);
+    }
+
+    checkSetDef(node) {
+        this.checkTypeExists(node.baseType);
+        if (!this.isSetBase(node.baseType)) {
+            throw new SemanticError(
+                `TYPE '${node.name}' cannot be a SET OF ${node.baseType}.`,
+                DiagnosticCode.INVALID_SET_TYPE,
+                "A set holds CHAR, INTEGER or enumerated values."
+            );
+        }
+    }
+
+    // DEFINE declares a set variable and gives it its elements
+    checkDefine(node) {
+        this.declareSymbol(node.name, node.dataType);
+        this.checkDeclaredType(node.name, node.dataType);
+
+        const base = this.setTypes.get(node.dataType);
+        if (!base) {
+            throw new SemanticError(
+                `DEFINE needs a set type, and '${node.dataType}' is not one.`,
+                DiagnosticCode.INVALID_SET_TYPE,
+                "Define one first, e.g. TYPE LetterSet = SET OF CHAR."
+            );
+        }
+        for (const element of node.elements.elements) {
+            this.checkSetElement(base, element, this.checkExpression(element));
+        }
+        this.symbols.assign(node.name);
+    }
+
+    // The elements of a literal share the type of the first one
+    checkSetLiteral(node) {
+        if (node.elements.length === 0) return "SET OF ANY";
+
+        const types = node.elements.map(element => this.checkExpression(element));
+        const base = this.elementType(node.elements[0], types[0]);
+        if (!this.isSetBase(base)) {
+            throw new SemanticError(
+                `A set cannot hold ${base} values.`,
+                DiagnosticCode.INVALID_SET_TYPE,
+                "A set holds CHAR, INTEGER or enumerated values."
+            );
+        }
+        node.elements.forEach((element, i) => this.checkSetElement(base, element, types[i]));
+        return `SET OF ${base}`;
+    }
+
+    checkSetElement(base, node, type) {
+        const elementType = this.elementType(node, type);
+        if (elementType !== base) {
+            throw new SemanticError(
+                `Set element must be ${base}, got ${elementType}.`,
+                DiagnosticCode.TYPE_MISMATCH,
+                base === "CHAR" && elementType === "STRING" ? "A set of CHAR holds single characters." : null
+            ).locate(node);
+        }
+    }
+
+    // A one-character string literal is a CHAR when it is a set element
+    elementType(node, type) {
+        return node.type === "StringLiteral" && node.value.length === 1 ? "CHAR" : type;
+    }
+
+    // ------------------------------------------
+    // CLASSES
+    // ------------------------------------------
+    // A class has attributes and methods and inherits those of its parent.
+    // Inside a method the attributes are in scope by name, and the other
+    // methods can be called by name. PRIVATE members can only be used in
+    // the methods of the class that defines them. A variable of a class
+    // type holds an object made by NEW, of that class or a subclass.
+
+    // The class and its ancestors, nearest first (stopping at a cycle)
+    classChain(className) {
+        const chain = [];
+        let cls = this.classes.get(className);
+        while (cls && !chain.includes(cls)) {
+            chain.push(cls);
+            cls = this.classes.get(cls.parent);
+        }
+        return chain;
+    }
+
+    isSubclass(sub, sup) {
+        return this.classChain(sub).some(cls => cls.name === sup);
+    }
+
+    // An attribute of a class or an ancestor, with the class that defines it
+    // as `owner`; null if there is none
+    findAttribute(className, name) {
+        for (const cls of this.classChain(className)) {
+            const attribute = cls.attributes.find(a => a.name === name);
+            if (attribute) return { ...attribute, owner: cls.name };
+        }
+        return null;
+    }
+
+    // The nearest definition of a method: { node, access, owner } or null
+    findMethod(className, name) {
+        for (const cls of this.classChain(className)) {
+            const method = cls.methods.find(m => m.name === name);
+            if (method) return { node: method, access: method.access, owner: cls.name };
+        }
+        return null;
+    }
+
+    checkVisible(member, kind, name) {
+        if (member.access === "PRIVATE" && this.currentClass !== member.owner) {
+            throw new SemanticError(
+                `${kind} '${name}' of class '${member.owner}' is PRIVATE.`,
+                DiagnosticCode.PRIVATE_MEMBER,
+                kind === "Attribute" ? "Use a PUBLIC method of the class to read or change it." : null
+            );
+        }
+    }
+
+    checkClass(node) {
+        if (this.symbols.parent) {
+            throw new SemanticError(`CLASS '${node.name}' must be defined outside procedures and functions.`, DiagnosticCode.INVALID_CLASS);
+        }
+        if (node.parent) {
+            if (!this.classes.has(node.parent)) {
+                throw new SemanticError(`Unknown class '${node.parent}'.`, DiagnosticCode.UNKNOWN_TYPE, "Define the parent class with CLASS...ENDCLASS.");
+            }
+            if (this.isSubclass(node.parent, node.name)) {
+                throw new SemanticError(`Class '${node.name}' cannot inherit from itself.`, DiagnosticCode.INVALID_CLASS);
+            }
+        }
+
+        // Each name is one member: not repeated, and not one that is inherited
+        const names = [...node.attributes, ...node.methods].map(member => member.name);
+        names.forEach((name, i) => {
+            if (names.indexOf(name) !== i) {
+                throw new SemanticError(`'${name}' is defined twice in class '${node.name}'.`, DiagnosticCode.ALREADY_DECLARED);
+            }
+            const inherited = node.parent && this.findAttribute(node.parent, name);
+            if (inherited) {
+                throw new SemanticError(`'${name}' is already an attribute of class '${inherited.owner}'.`, DiagnosticCode.ALREADY_DECLARED);
+            }
+        });
+
+        for (const attribute of node.attributes) {
+            this.checkTypeExists(attribute.type);
+            if (attribute.dimensions) {
+                this.checkArrayBounds(`${node.name}.${attribute.name}`, attribute.dimensions);
+            }
+        }
+
+        for (const method of node.methods) {
+            const overridden = node.parent && method.name !== "NEW" ? this.findMethod(node.parent, method.name) : null;
+            if (overridden) {
+                this.checkOverride(method, overridden);
+            }
+            this.checkMethod(node, method);
+        }
+    }
+
+    // An overriding method is called wherever the one it replaces could be,
+    // so it takes the same parameters and returns the same type
+    checkOverride(method, overridden) {
+        const base = overridden.node;
+        const sameParams = method.params.length === base.params.length && method.params.every((p, i) =>
+            p.type === base.params[i].type && p.mode === base.params[i].mode && p.isArray === base.params[i].isArray
+        );
+        if (method.type !== base.type || !sameParams || method.returnType !== base.returnType) {
+            throw new SemanticError(
+                `Method '${method.name}' must match the one it overrides in class '${overridden.owner}'.`,
+                DiagnosticCode.INVALID_CLASS,
+                "Use the same parameters and, for a FUNCTION, the same RETURNS type."
+            ).locate(method);
+        }
+    }
+
+    // A method is checked like a procedure or function, in a scope that
+    // holds the attributes of its class
+    checkMethod(cls, method) {
+        const outerSymbols = this.symbols;
+        const outerClass = this.currentClass;
+        this.symbols = this.classScope(cls.name);
+        this.currentClass = cls.name;
+
+        try {
+            if (method.type === "Procedure") {
+                this.checkProcedure(method);
+            } else {
+                this.checkFunction(method);
+            }
+        } finally {
+            this.symbols = outerSymbols;
+            this.currentClass = outerClass;
+        }
+    }
+
+    // The attributes of the class and its ancestors, all assigned (objects
+    // are created with every attribute set). Inherited PRIVATE attributes
+    // are included so that using one is reported as PRIVATE, not undeclared.
+    classScope(className) {
+        const scope = new SymbolTable(this.symbols);
+        for (const cls of this.classChain(className)) {
+            for (const attribute of cls.attributes) {
+                if (scope.table.has(attribute.name)) continue;
+                scope.declare(attribute.name, attribute.type, attribute.dimensions);
+                Object.assign(scope.get(attribute.name), { assigned: true, attribute: { ...attribute, owner: cls.name } });
+            }
+        }
+        return scope;
+    }
+
+    // A name in a method that means an attribute of the object. Marked for
+    // the IR generator, which reads it from the object (SELF.Name).
+    useAttribute(node) {
+        const entry = this.symbols.get(node.name);
+        if (entry && entry.attribute) {
+            this.checkVisible(entry.attribute, "Attribute", node.name);
+            node.attribute = true;
+        }
+    }
+
+    // Obj.Attribute: an object variable must have been created (objects in
+    // arrays are checked when the program runs)
+    resolveAttribute(node, base) {
+        const attribute = this.findAttribute(base.type, node.field);
+        if (!attribute) {
+            throw new SemanticError(
+                `Class '${base.type}' has no attribute '${node.field}'.`,
+                DiagnosticCode.UNKNOWN_FIELD,
+                this.findMethod(base.type, node.field) ? `'${node.field}' is a method: call it with brackets, e.g. ${base.text}.${node.field}()` : null
+            ).locate(node);
+        }
+        try {
+            this.checkVisible(attribute, "Attribute", node.field);
+        } catch (err) {
+            throw err.locate(node);
+        }
+        if (base.text === base.root && !base.entry.assigned) {
+            throw new SemanticError(`Object '${base.root}' used before it is created.`, DiagnosticCode.UNASSIGNED, "Create it with NEW first.").locate(node);
+        }
+        return {
+            ...base,
+            type: attribute.type,
+            dimensions: attribute.dimensions || null,
+            text: `${base.text}.${node.field}`
+        };
+    }
+
+    // Obj.Method(...) or SUPER.Method(...). SUPER calls the parent class's
+    // version, so an overriding method can build on the one it replaces.
+    // Returns the result type in an expression.
+    checkMethodCall(node, inExpression = false) {
+        let className;
+        if (node.object.type === "Identifier" && node.object.name === "SUPER") {
+            const cls = this.classes.get(this.currentClass);
+            if (!cls || !cls.parent) {
+                throw new SemanticError("SUPER can only be used in the methods of a class that INHERITS another.", DiagnosticCode.INVALID_CLASS);
+            }
+            className = cls.parent;
+            node.superClass = className;
+        } else {
+            className = this.checkExpression(node.object);
+            if (!this.classes.has(className)) {
+                throw new SemanticError(`Cannot call method '${node.method}' on a value of type ${className}.`, DiagnosticCode.NOT_AN_OBJECT);
+            }
+            if (node.method === "NEW") {
+                throw new SemanticError("NEW runs when an object is created, and cannot be called again.", DiagnosticCode.INVALID_CLASS,
+                    `Create a new object instead, e.g. X <- NEW ${className}(...)`);
+            }
+        }
+        return this.checkMethodUse(className, node.method, node.args, inExpression);
+    }
+
+    // A method of the class (or an ancestor) that can be seen from here,
+    // called with suitable arguments. In an expression it must be a FUNCTION,
+    // and in a CALL statement a PROCEDURE.
+    checkMethodUse(className, name, args, inExpression) {
+        const method = this.findMethod(className, name);
+        if (!method) {
+            throw new SemanticError(`Class '${className}' has no method '${name}'.`, DiagnosticCode.UNKNOWN_FIELD);
+        }
+        this.checkVisible(method, "Method", name);
+
+        const qualifiedName = `${method.owner}.${name}`;
+        this.checkArguments(qualifiedName, method.node.params, args);
+
+        if (!inExpression) {
+            if (method.node.type === "Function") {
+                throw new SemanticError(`Method '${qualifiedName}' is a FUNCTION, so it cannot be CALLed.`, DiagnosticCode.TYPE_MISMATCH,
+                    "Use its value in an expression, e.g. OUTPUT or an assignment.");
+            }
+            return null;
+        }
+        if (method.node.type !== "Function") {
+            throw new SemanticError(`Method '${qualifiedName}' is a PROCEDURE, so it has no value.`, DiagnosticCode.TYPE_MISMATCH);
+        }
+        return method.node.returnType;
+    }
+
+    // NEW Cat("Tom"): the arguments are those of the constructor, which
+    // may be inherited; a class without one takes none
+    checkNew(node) {
+        if (!this.classes.has(node.className)) {
+            throw new SemanticError(`Unknown class '${node.className}'.`, DiagnosticCode.UNKNOWN_TYPE);
+        }
+
+        const constructor = this.findMethod(node.className, "NEW");
+        if (constructor) {
+            this.checkVisible(constructor, "Constructor", "NEW");
+            this.checkArguments(`${constructor.owner}.NEW`, constructor.node.params, node.args);
+        } else if (node.args.length > 0) {
+            throw new SemanticError(
+                `Class '${node.className}' has no constructor, so NEW ${node.className} takes no arguments.`,
+                DiagnosticCode.ARGUMENT_COUNT
+            );
+        }
+        return node.className;
+    }
+
+    // Declare a variable, constant or parameter in the current scope. The
+    // values of enumerated types are reserved, so they never mean two things.
+    declareSymbol(name, type, arrayDimensions = null, isConstant = false) {
+        if (this.enumValues.has(name)) {
+            throw new SemanticError(
+                `'${name}' is a value of TYPE '${this.enumValues.get(name)}' and cannot be declared.`,
+                DiagnosticCode.ALREADY_DECLARED
+            );
+        }
+        this.symbols.declare(name, type, arrayDimensions, isConstant);
+    }
+
+    // The type of a variable just declared must exist. If it does not,
+    // the variable takes ERROR_TYPE so its uses are not reported as well.
+    checkDeclaredType(name, typeName) {
+        try {
+            this.checkTypeExists(typeName);
+        } catch (err) {
+            Object.assign(this.symbols.get(name), { type: ERROR_TYPE, assigned: true });
+            throw err;
+        }
+    }
+
+    // Does TYPE typeName have a field of type target, at any depth?
+    typeContains(typeName, target, seen = new Set()) {
+        const typeDef = this.userTypes.get(typeName);
+        if (!typeDef || seen.has(typeName)) return false;
+        seen.add(typeName);
+        return typeDef.fields.some(f => f.type === target || this.typeContains(f.type, target, seen));
     }
 
     // ------------------------------------------
@@ -144,13 +784,36 @@ class SemanticAnalyzer {
     checkTypeCompatible(varType, exprType, varName) {
         if (varType === exprType) return; // exact match always OK
 
+        // An object of a subclass can stand for one of its parent class
+        if (this.classes.has(varType) && this.isSubclass(exprType, varType)) return;
+
+        // Sets: same type of element, or the empty set
+        if (this.setBase(varType) || this.setBase(exprType)) {
+            if (this.setBase(varType) && this.setsCompatible(varType, exprType)) return;
+            throw new SemanticError(
+                `Type mismatch: cannot assign ${exprType} to ${varType} variable '${varName}'.`,
+                DiagnosticCode.TYPE_MISMATCH
+            );
+        }
+
+        // Pointers: same type pointed to, or NULL
+        if (this.pointerTarget(varType) || this.pointerTarget(exprType) || exprType === "NULL") {
+            if (this.pointerTarget(varType) && this.pointersCompatible(varType, exprType)) return;
+            throw new SemanticError(
+                `Type mismatch: cannot assign ${exprType} to ${varType} variable '${varName}'.`,
+                DiagnosticCode.TYPE_MISMATCH
+            );
+        }
+
         const numeric = ["INTEGER", "REAL"];
         const stringLike = ["STRING", "CHAR"];
 
         // INTEGER <- REAL: not allowed (would lose precision)
         if (varType === "INTEGER" && exprType === "REAL") {
             throw new SemanticError(
-                `Type mismatch: cannot assign REAL to INTEGER variable '${varName}'. Use INT() to convert.`
+                `Type mismatch: cannot assign REAL to INTEGER variable '${varName}'.`,
+                DiagnosticCode.TYPE_MISMATCH,
+                "Use INT() to convert."
             );
         }
 
@@ -163,39 +826,55 @@ class SemanticAnalyzer {
         // CHAR <- STRING: not allowed
         if (varType === "CHAR" && exprType === "STRING") {
             throw new SemanticError(
-                `Type mismatch: cannot assign STRING to CHAR variable '${varName}'.`
+                `Type mismatch: cannot assign STRING to CHAR variable '${varName}'.`,
+                DiagnosticCode.TYPE_MISMATCH,
+                "Write a CHAR in single quotes, e.g. 'A'."
             );
         }
 
         // Numeric used where string expected, or vice versa
         if (numeric.includes(varType) && stringLike.includes(exprType)) {
             throw new SemanticError(
-                `Type mismatch: cannot assign ${exprType} to ${varType} variable '${varName}'.`
+                `Type mismatch: cannot assign ${exprType} to ${varType} variable '${varName}'.`,
+                DiagnosticCode.TYPE_MISMATCH
             );
         }
         if (stringLike.includes(varType) && numeric.includes(exprType)) {
             throw new SemanticError(
-                `Type mismatch: cannot assign ${exprType} to ${varType} variable '${varName}'.`
+                `Type mismatch: cannot assign ${exprType} to ${varType} variable '${varName}'.`,
+                DiagnosticCode.TYPE_MISMATCH
             );
         }
 
         // BOOLEAN used where numeric/string expected, or vice versa
         if (varType === "BOOLEAN" && exprType !== "BOOLEAN") {
             throw new SemanticError(
-                `Type mismatch: cannot assign ${exprType} to BOOLEAN variable '${varName}'.`
+                `Type mismatch: cannot assign ${exprType} to BOOLEAN variable '${varName}'.`,
+                DiagnosticCode.TYPE_MISMATCH
             );
         }
         if (exprType === "BOOLEAN" && varType !== "BOOLEAN") {
             throw new SemanticError(
-                `Type mismatch: cannot assign BOOLEAN to ${varType} variable '${varName}'.`
+                `Type mismatch: cannot assign BOOLEAN to ${varType} variable '${varName}'.`,
+                DiagnosticCode.TYPE_MISMATCH
+            );
+        }
+
+        // DATE only holds dates (exact match handled above)
+        if (varType === "DATE" || exprType === "DATE") {
+            throw new SemanticError(
+                `Type mismatch: cannot assign ${exprType} to ${varType} variable '${varName}'.`,
+                DiagnosticCode.TYPE_MISMATCH,
+                varType === "DATE" && stringLike.includes(exprType) ? "Write a date as dd/mm/yyyy, without quotes." : null
             );
         }
 
-        // User-defined types must match exactly
-        if (!numeric.includes(varType) && !stringLike.includes(varType) &&
-            varType !== "BOOLEAN") {
+        // User-defined types must match exactly, on either side
+        const builtin = t => numeric.includes(t) || stringLike.includes(t) || t === "BOOLEAN";
+        if (!builtin(varType) || !builtin(exprType)) {
             throw new SemanticError(
-                `Type mismatch: cannot assign ${exprType} to ${varType} variable '${varName}'.`
+                `Type mismatch: cannot assign ${exprType} to ${varType} variable '${varName}'.`,
+                DiagnosticCode.TYPE_MISMATCH
             );
         }
     }
@@ -204,27 +883,76 @@ class SemanticAnalyzer {
     // STATEMENT CHECKING
     // ------------------------------------------
 
+    // Check one statement, recording (not throwing) any SemanticError so
+    // the rest of the program is still checked
     checkStatement(node) {
+        try {
+            this.checkStatementKind(node);
+        } catch (err) {
+            if (!(err instanceof SemanticError)) throw err;
+            if (!err.silent) this.diagnostics.push(err.locate(node).toDiagnostic());
+        }
+    }
+
+    checkStatementKind(node) {
         switch (node.type) {
 
             case "TypeDef":
                 // Already registered in first pass; validate field types
                 for (const field of node.fields) {
-                    const validTypes = ["INTEGER", "REAL", "STRING", "BOOLEAN", "CHAR"];
-                    if (!validTypes.includes(field.type) && !this.userTypes.has(field.type)) {
-                        throw new SemanticError(`Unknown type '${field.type}' in TYPE definition '${node.name}'.`);
+                    const validTypes = ["INTEGER", "REAL", "STRING", "BOOLEAN", "CHAR", "DATE"];
+                    if (!validTypes.includes(field.type) && !this.userTypes.has(field.type) &&
+                        !this.enumTypes.has(field.type) && !this.pointerTypes.has(field.type) &&
+                        !this.setTypes.has(field.type) && !this.classes.has(field.type)) {
+                        throw new SemanticError(`Unknown type '${field.type}' in TYPE definition '${node.name}'.`, DiagnosticCode.UNKNOWN_TYPE);
                     }
+                    if (field.dimensions) {
+                        this.checkArrayBounds(`${node.name}.${field.name}`, field.dimensions);
+                    }
+                }
+                // A record holds its fields by value, so it cannot contain itself
+                if (this.typeContains(node.name, node.name)) {
+                    throw new SemanticError(`TYPE '${node.name}' cannot contain itself.`, DiagnosticCode.RECURSIVE_TYPE);
                 }
                 break;
 
+            case "EnumDef":
+                this.checkEnumDef(node);
+                break;
+
+            case "PointerDef":
+                // A pointer may point to a type defined later, e.g. the
+                // record type of a linked list node that holds the pointer
+                this.checkTypeExists(node.target);
+                break;
+
+            case "SetDef":
+                this.checkSetDef(node);
+                break;
+
+            case "Define":
+                this.checkDefine(node);
+                break;
+
+            case "Class":
+                this.checkClass(node);
+                break;
+
+            case "MethodCall":
+                this.checkMethodCall(node);
+                break;
+
             case "Declare":
-                // Allow user-defined types in declarations
-                if (node.dataType && !["INTEGER", "REAL", "STRING", "BOOLEAN", "CHAR"].includes(node.dataType)) {
-                    if (!this.userTypes.has(node.dataType)) {
-                        throw new SemanticError(`Unknown type '${node.dataType}'. Did you define it with TYPE...ENDTYPE?`);
-                    }
+                // Declare first so an unknown type does not cascade into
+                // "not declared" errors wherever the variable is used
+                this.declareSymbol(node.name, node.dataType, node.arrayDimensions);
+
+                if (node.arrayDimensions) {
+                    this.checkArrayBounds(node.name, node.arrayDimensions);
                 }
-                this.symbols.declare(node.name, node.dataType, node.arrayDimensions);
+
+                // Allow user-defined types in declarations
+                this.checkDeclaredType(node.name, node.dataType);
                 break;
 
             case "Constant":
@@ -237,7 +965,7 @@ class SemanticAnalyzer {
 
             case "Output":
                 for (const expr of node.exprs) {
-                    this.checkExpression(expr);
+                    this.checkOutputValue(expr, "OUTPUT");
                 }
                 break;
 
@@ -287,21 +1015,36 @@ class SemanticAnalyzer {
 
             case "ReadFile":
                 this.checkExpression(node.filename);
-                if (!this.symbols.has(node.variable)) {
-                    throw new SemanticError(`Variable '${node.variable}' not declared.`);
-                }
-                this.symbols.assign(node.variable);
+                this.checkInputTarget(node.target, "READFILE");
                 break;
 
             case "WriteFile":
                 this.checkExpression(node.filename);
-                this.checkExpression(node.expr);
+                this.checkOutputValue(node.expr, "WRITEFILE");
                 break;
 
             case "CloseFile":
                 this.checkExpression(node.filename);
                 break;
 
+            case "Seek":
+                this.checkExpression(node.filename);
+                this.checkSeek(node);
+                break;
+
+            case "GetRecord": {
+                this.checkExpression(node.filename);
+                const target = this.checkRecordVariable(node.target, "GETRECORD", this.resolveTarget(node.target));
+                this.symbols.assign(target.root);
+                break;
+            }
+
+            case "PutRecord":
+                this.checkExpression(node.filename);
+                this.checkExpression(node.source);
+                this.checkRecordVariable(node.source, "PUTRECORD", this.resolveAccess(node.source));
+                break;
+
             default:
                 throw new SemanticError(`Unknown statement type: ${node.type}`);
         }
@@ -312,118 +1055,240 @@ class SemanticAnalyzer {
     // ------------------------------------------
 
     checkConstant(node) {
-        this.symbols.declare(node.name, node.dataType, null, true);
+        this.declareSymbol(node.name, node.dataType, null, true);
         this.symbols.assign(node.name);
+        // Remember the value so it can be used in array bounds
+        this.symbols.get(node.name).value = node.value.value;
     }
 
     // ------------------------------------------
-    // INPUT
+    // ARRAY BOUNDS
     // ------------------------------------------
+    // Bounds must be INTEGER constant expressions: literals, CONSTANTs and
+    // arithmetic on them. Their values are stored on each dimension as
+    // startValue / endValue for the IR generator.
 
-    checkInput(node) {
-        const varInfo = this.symbols.get(node.name);
-        if (!varInfo) {
-            throw new SemanticError(`Variable '${node.name}' not declared.`);
-        }
+    checkArrayBounds(name, dimensions) {
+        for (const dim of dimensions) {
+            dim.startValue = this.evaluateBound(dim.start);
+            dim.endValue = this.evaluateBound(dim.end);
 
-        // INPUT record.field
-        if (node.field) {
-            const typeDef = this.userTypes.get(varInfo.type);
-            if (!typeDef) {
-                throw new SemanticError(`Variable '${node.name}' is not a record type.`);
-            }
-            const fieldDef = typeDef.fields.find(f => f.name === node.field);
-            if (!fieldDef) {
-                throw new SemanticError(`Field '${node.field}' does not exist in type '${varInfo.type}'.`);
+            if (dim.startValue > dim.endValue) {
+                throw new SemanticError(
+                    `Array '${name}' has lower bound ${dim.startValue} greater than upper bound ${dim.endValue}.`,
+                    DiagnosticCode.INVALID_RANGE
+                ).locate(dim.start);
             }
-            this.symbols.assign(node.name);
-            return;
         }
+    }
 
-        // INPUT array element
-        if (node.indices) {
-            if (!varInfo.isArray) {
-                throw new SemanticError(`Variable '${node.name}' is not an array.`);
-            }
-            if (node.indices.length !== varInfo.dimensions.length) {
-                throw new SemanticError(
-                    `Array '${node.name}' requires ${varInfo.dimensions.length} indices, got ${node.indices.length}.`
-                );
+    evaluateBound(expr) {
+        const value = this.evaluateConstant(expr);
+        if (!Number.isInteger(value)) {
+            throw new SemanticError(`Array bound must be an INTEGER, got ${value}.`, DiagnosticCode.TYPE_MISMATCH).locate(expr);
+        }
+        return value;
+    }
+
+    // Evaluate a compile-time constant expression, or report why it is not one
+    evaluateConstant(expr) {
+        switch (expr.type) {
+            case "IntegerLiteral":
+            case "RealLiteral":
+                return expr.value;
+
+            case "Identifier": {
+                const entry = this.symbols.get(expr.name);
+                if (!entry) {
+                    throw new SemanticError(`Variable '${expr.name}' not declared.`, DiagnosticCode.UNDECLARED).locate(expr);
+                }
+                if (!entry.isConstant || typeof entry.value !== "number") {
+                    throw new SemanticError(
+                        `'${expr.name}' is not a numeric CONSTANT and cannot be used as an array bound.`,
+                        DiagnosticCode.NOT_CONSTANT
+                    ).locate(expr);
+                }
+                return entry.value;
             }
-            for (const idx of node.indices) {
-                this.checkExpression(idx);
+
+            case "Unary":
+                if (expr.op === "NEGATE") {
+                    return -this.evaluateConstant(expr.operand);
+                }
+                break;
+
+            case "Binary": {
+                const left = this.evaluateConstant(expr.left);
+                const right = this.evaluateConstant(expr.right);
+                if ((expr.op === "DIV" || expr.op === "MOD") && right === 0) {
+                    throw new SemanticError(`Division by zero in array bound.`, DiagnosticCode.INVALID_OPERAND).locate(expr);
+                }
+                switch (expr.op) {
+                    case "PLUS": return left + right;
+                    case "MINUS": return left - right;
+                    case "MULTIPLY": return left * right;
+                    case "DIVIDE": return left / right;
+                    case "DIV": return Math.trunc(left / right);
+                    case "MOD": return left % right;
+                    case "POWER": return Math.pow(left, right);
+                }
+                break;
             }
         }
 
-        // INPUT marks the variable (or array element) as assigned
-        this.symbols.assign(node.name);
+        throw new SemanticError(`Array bound must be a constant expression.`, DiagnosticCode.NOT_CONSTANT).locate(expr);
     }
 
     // ------------------------------------------
-    // ASSIGNMENT
+    // INPUT
     // ------------------------------------------
 
-    checkAssignment(node) {
-        const varInfo = this.symbols.get(node.name);
+    // The target's type is recorded on the node so the runtime can check
+    // what the user types against it (see IRGenerator.genInput)
+    checkInput(node) {
+        node.targetType = this.checkInputTarget(node.target, "INPUT");
+    }
+
+    // INPUT and READFILE store a single value: the target is a variable,
+    // element or field of a built-in type. It counts as assigned afterwards.
+    // Returns the target's type.
+    checkInputTarget(node, statement) {
+        const target = this.resolveTarget(node);
 
-        if (!varInfo) {
-            throw new SemanticError(`Variable '${node.name}' not declared.`);
+        if (target.dimensions || this.userTypes.has(target.type) || this.classes.has(target.type)) {
+            const kind = target.dimensions ? "array" : this.classes.has(target.type) ? "object" : "record";
+            throw new SemanticError(
+                `${statement} cannot read into the whole ${kind} '${target.text}'.`,
+                DiagnosticCode.TYPE_MISMATCH,
+                "Read each element or field separately."
+            );
         }
+        if (this.setBase(target.type)) {
+            throw new SemanticError(
+                `${statement} cannot read into the set '${target.text}'.`,
+                DiagnosticCode.TYPE_MISMATCH,
+                "Read one element, then add it with UNION."
+            );
+        }
+
+        this.symbols.assign(target.root);
+        return target.type;
+    }
 
-        // Prevent reassignment of constants
-        if (varInfo.isConstant) {
-            throw new SemanticError(`Cannot reassign CONSTANT '${node.name}'.`);
+    // OUTPUT and WRITEFILE write single values: a whole array, record or
+    // object has no text form
+    checkOutputValue(expr, statement) {
+        const array = this.wholeArray(expr);
+        if (array) {
+            throw new SemanticError(
+                `${statement} cannot write the whole array '${array.text}'.`,
+                DiagnosticCode.TYPE_MISMATCH,
+                "Write each element separately, e.g. in a FOR loop."
+            ).locate(expr);
         }
 
-        // Handle field access assignment: record.field <- expr
-        if (node.field) {
-            const typeDef = this.userTypes.get(varInfo.type);
-            if (!typeDef) {
-                throw new SemanticError(`Variable '${node.name}' is not a record type.`);
-            }
-            const fieldDef = typeDef.fields.find(f => f.name === node.field);
-            if (!fieldDef) {
-                throw new SemanticError(`Field '${node.field}' does not exist in type '${varInfo.type}'.`);
-            }
-            const exprType = this.checkExpression(node.expr);
-            this.checkTypeCompatible(fieldDef.type, exprType, `${node.name}.${node.field}`);
-            this.symbols.assign(node.name);
-            return;
+        const type = this.checkExpression(expr);
+        if (this.userTypes.has(type) || this.classes.has(type)) {
+            const kind = this.classes.has(type) ? "object" : "record";
+            throw new SemanticError(
+                `${statement} cannot write a whole ${kind} of type ${type}.`,
+                DiagnosticCode.TYPE_MISMATCH,
+                kind === "object" ? "Write each attribute separately." : "Write each field separately."
+            ).locate(expr);
         }
+        return type;
+    }
 
-        // Handle array element assignment
-        if (node.indices) {
-            if (!varInfo.isArray) {
-                throw new SemanticError(`Variable '${node.name}' is not an array.`);
-            }
+    // ------------------------------------------
+    // RANDOM FILES
+    // ------------------------------------------
+    // A RANDOM file holds one record at each address. SEEK moves to an
+    // address; GETRECORD and PUTRECORD read and write a whole record there.
 
-            // Validate number of indices matches dimensions
-            if (node.indices.length !== varInfo.dimensions.length) {
-                throw new SemanticError(
-                    `Array '${node.name}' requires ${varInfo.dimensions.length} indices, got ${node.indices.length}.`
-                );
-            }
+    checkSeek(node) {
+        const type = this.checkExpression(node.address);
+        if (type !== "INTEGER") {
+            throw new SemanticError(
+                `SEEK address must be INTEGER, got ${type}.`,
+                DiagnosticCode.TYPE_MISMATCH,
+                "Addresses count records from 1."
+            );
+        }
+    }
 
-            // Check each index is numeric
-            for (const idx of node.indices) {
-                const idxType = this.checkExpression(idx);
-                if (idxType !== "INTEGER" && idxType !== "REAL") {
-                    throw new SemanticError(`Array index must be numeric.`);
-                }
-            }
-        } else {
-            // Regular variable assignment - cannot assign to whole array
-            if (varInfo.isArray) {
-                throw new SemanticError(`Cannot assign to whole array '${node.name}'. Use array indexing.`);
-            }
+    // The variable read or written must be a whole record of a TYPE
+    checkRecordVariable(node, statement, access) {
+        if (access.dimensions || !this.userTypes.has(access.type)) {
+            const shown = access.dimensions ? "an array" : access.type;
+            throw new SemanticError(
+                `${statement} needs a record variable, but '${access.text}' is ${shown}.`,
+                DiagnosticCode.NOT_A_RECORD,
+                "Declare it with a record TYPE, e.g. DECLARE Pupil : Student"
+            ).locate(node);
+        }
+        return access;
+    }
+
+    // ------------------------------------------
+    // ASSIGNMENT
+    // ------------------------------------------
+
+    checkAssignment(node) {
+        const target = this.resolveTarget(node.target);
+
+        // The target counts as assigned even when the value is rejected,
+        // so the one error is not followed by "used before assignment"
+        try {
+            this.checkAssignedValue(node, target);
+        } finally {
+            this.symbols.assign(target.root);
+        }
+    }
+
+    checkAssignedValue(node, target) {
+        if (target.dimensions) {
+            // Whole-array assignment copies every element
+            this.checkArrayAssignment(node, target);
+            return;
+        }
+
+        const source = this.wholeArray(node.expr);
+        if (source) {
+            throw new SemanticError(
+                `Cannot assign array '${source.text}' to ${target.type} variable '${target.text}'.`,
+                DiagnosticCode.TYPE_MISMATCH
+            );
         }
 
-        const varType = varInfo.type;
         const exprType = this.checkExpression(node.expr);
 
-        this.checkTypeCompatible(varType, exprType, node.name);
+        this.checkTypeCompatible(target.type, exprType, target.text);
+    }
+
+    // Target <- Source for whole arrays: the source must be an array with the
+    // same element type and the same bounds (when both are known)
+    checkArrayAssignment(node, target) {
+        const source = this.wholeArray(node.expr);
 
-        this.symbols.assign(node.name);
+        if (!source) {
+            throw new SemanticError(`Cannot assign to whole array '${target.text}'.`, DiagnosticCode.TYPE_MISMATCH, "Use array indexing.");
+        }
+        if (source.type !== target.type) {
+            throw new SemanticError(
+                `Type mismatch: cannot assign ARRAY OF ${source.type} to ARRAY OF ${target.type} '${target.text}'.`,
+                DiagnosticCode.TYPE_MISMATCH
+            );
+        }
+
+        const shape = dims => dims.map(d => `${d.startValue}:${d.endValue}`).join(",");
+        if (source.dimensions.length > 0 && target.dimensions.length > 0 &&
+            shape(source.dimensions) !== shape(target.dimensions)) {
+            throw new SemanticError(
+                `Cannot assign array '${source.text}' [${shape(source.dimensions)}] to ` +
+                `array '${target.text}' [${shape(target.dimensions)}]: bounds differ.`,
+                DiagnosticCode.TYPE_MISMATCH
+            );
+        }
     }
 
     // ------------------------------------------
@@ -434,7 +1299,7 @@ class SemanticAnalyzer {
         const condType = this.checkExpression(node.condition);
 
         if (condType !== "BOOLEAN") {
-            throw new SemanticError(`IF condition must be a BOOLEAN expression (got ${condType}).`);
+            throw new SemanticError(`IF condition must be a BOOLEAN expression (got ${condType}).`, DiagnosticCode.CONDITION_NOT_BOOLEAN);
         }
 
         for (const stmt of node.thenBlock) {
@@ -454,7 +1319,7 @@ class SemanticAnalyzer {
         const condType = this.checkExpression(node.condition);
 
         if (condType !== "BOOLEAN") {
-            throw new SemanticError(`WHILE condition must be a BOOLEAN expression (got ${condType}).`);
+            throw new SemanticError(`WHILE condition must be a BOOLEAN expression (got ${condType}).`, DiagnosticCode.CONDITION_NOT_BOOLEAN);
         }
 
         for (const stmt of node.body) {
@@ -470,37 +1335,52 @@ class SemanticAnalyzer {
         // Must be declared already
         if (!this.symbols.has(node.loopVar)) {
             throw new SemanticError(
-                `Loop variable '${node.loopVar}' must be declared before the FOR loop.`
+                `Loop variable '${node.loopVar}' must be declared before the FOR loop.`,
+                DiagnosticCode.UNDECLARED
+            );
+        }
+
+        if (this.symbols.get(node.loopVar).attribute) {
+            throw new SemanticError(
+                `Attribute '${node.loopVar}' cannot be a FOR loop counter.`,
+                DiagnosticCode.INVALID_LOOP,
+                "Use a variable declared in the method."
             );
         }
 
-        // Loop variable must be INTEGER (CIE 9618: count-controlled loops require integer counter)
+        // Loop variable must be INTEGER (CIE 9618: count-controlled loops require
+        // integer counter) or of an enumerated type, which counts through its values
         const varType = this.symbols.getType(node.loopVar);
-        if (varType !== "INTEGER") {
+        if (varType !== "INTEGER" && !this.enumTypes.has(varType)) {
             throw new SemanticError(
-                `Loop variable '${node.loopVar}' must be INTEGER. REAL variables cannot be used as a FOR loop counter.`
+                `Loop variable '${node.loopVar}' must be INTEGER or of an enumerated type.`,
+                DiagnosticCode.INVALID_LOOP,
+                "REAL variables cannot be used as a FOR loop counter."
             );
         }
 
-        // Start, end and step must all be INTEGER (not REAL)
+        // Start and end have the counter's type; step must be INTEGER (not REAL)
         const startType = this.checkExpression(node.start);
-        if (startType !== "INTEGER") {
+        if (startType !== varType) {
             throw new SemanticError(
-                `FOR loop start value must be INTEGER (got ${startType}).`
+                `FOR loop start value must be ${varType} (got ${startType}).`,
+                DiagnosticCode.INVALID_LOOP
             );
         }
 
         const endType = this.checkExpression(node.end);
-        if (endType !== "INTEGER") {
+        if (endType !== varType) {
             throw new SemanticError(
-                `FOR loop end value must be INTEGER (got ${endType}).`
+                `FOR loop end value must be ${varType} (got ${endType}).`,
+                DiagnosticCode.INVALID_LOOP
             );
         }
 
         const stepType = this.checkExpression(node.step);
         if (stepType !== "INTEGER") {
             throw new SemanticError(
-                `FOR loop STEP value must be INTEGER (got ${stepType}).`
+                `FOR loop STEP value must be INTEGER (got ${stepType}).`,
+                DiagnosticCode.INVALID_LOOP
             );
         }
 
@@ -524,7 +1404,7 @@ class SemanticAnalyzer {
         const condType = this.checkExpression(node.condition);
 
         if (condType !== "BOOLEAN") {
-            throw new SemanticError(`REPEAT UNTIL condition must be a BOOLEAN expression (got ${condType}).`);
+            throw new SemanticError(`REPEAT UNTIL condition must be a BOOLEAN expression (got ${condType}).`, DiagnosticCode.CONDITION_NOT_BOOLEAN);
         }
     }
 
@@ -538,12 +1418,7 @@ class SemanticAnalyzer {
         for (const branch of node.branches) {
             // Check each case value
             for (const val of branch.values) {
-                const valType = this.checkExpression(val);
-                // Case values should be compatible with the expression type
-                if (exprType !== valType &&
-                    !(["INTEGER", "REAL"].includes(exprType) && ["INTEGER", "REAL"].includes(valType))) {
-                    throw new SemanticError(`CASE value type mismatch.`);
-                }
+                this.checkCaseLabel(exprType, val);
             }
             // Check body statements
             for (const stmt of branch.body) {
@@ -557,6 +1432,49 @@ class SemanticAnalyzer {
         }
     }
 
+    // A CASE label is a value, a range "low TO high" or a guard such as ">= 90".
+    // Every value it mentions must have the same type as the CASE expression.
+    checkCaseLabel(exprType, label) {
+        const checkValue = (val, what) => {
+            const valType = this.checkExpression(val);
+            // Case values should be compatible with the expression type;
+            // a CHAR value may be a label for a STRING expression
+            if (exprType !== valType &&
+                !(["INTEGER", "REAL"].includes(exprType) && ["INTEGER", "REAL"].includes(valType)) &&
+                !(exprType === "STRING" && valType === "CHAR")) {
+                throw new SemanticError(
+                    `CASE ${what} type mismatch: expected ${exprType}, got ${valType}.`,
+                    DiagnosticCode.TYPE_MISMATCH,
+                    exprType === "CHAR" && valType === "STRING" ? "Write a CHAR in single quotes, e.g. 'A'." : null
+                ).locate(val);
+            }
+        };
+
+        if (label.type === "CaseRange") {
+            checkValue(label.low, "range bound");
+            checkValue(label.high, "range bound");
+
+            // The value of a literal bound, negative numbers included; undefined otherwise
+            const literalValue = n => {
+                if (n.type === "Unary" && n.op === "NEGATE" && ["IntegerLiteral", "RealLiteral"].includes(n.operand.type)) {
+                    return -n.operand.value;
+                }
+                return ["IntegerLiteral", "RealLiteral", "StringLiteral", "CharLiteral"].includes(n.type) ? n.value : undefined;
+            };
+            const low = literalValue(label.low), high = literalValue(label.high);
+            if (low !== undefined && high !== undefined && low > high) {
+                throw new SemanticError(
+                    `CASE range ${low} TO ${high} is empty: lower bound is greater than upper bound.`,
+                    DiagnosticCode.INVALID_RANGE
+                ).locate(label);
+            }
+        } else if (label.type === "CaseGuard") {
+            checkValue(label.value, "value");
+        } else {
+            checkValue(label, "value");
+        }
+    }
+
     // ------------------------------------------
     // PROCEDURE
     // ------------------------------------------
@@ -566,18 +1484,27 @@ class SemanticAnalyzer {
         const outerSymbols = this.symbols;
         this.symbols = new SymbolTable(outerSymbols);
 
-        // Declare parameters in local scope
-        for (const param of node.params) {
-            this.symbols.declare(param.name, param.type);
-            this.symbols.assign(param.name); // params are considered assigned
-        }
+        try {
+            this.declareParams(node.params);
 
-        for (const stmt of node.body) {
-            this.checkStatement(stmt);
+            for (const stmt of node.body) {
+                this.checkStatement(stmt);
+            }
+        } finally {
+            // Restore outer scope
+            this.symbols = outerSymbols;
         }
+    }
 
-        // Restore outer scope
-        this.symbols = outerSymbols;
+    // Declare parameters in the routine's local scope; they count as assigned.
+    // An ARRAY OF parameter accepts arrays of any shape, so it is declared
+    // with an empty dimension list and its indices are checked at runtime.
+    declareParams(params) {
+        for (const param of params) {
+            this.checkTypeExists(param.type);
+            this.declareSymbol(param.name, param.type, param.isArray ? [] : null);
+            this.symbols.assign(param.name);
+        }
     }
 
     // ------------------------------------------
@@ -589,41 +1516,48 @@ class SemanticAnalyzer {
         const outerSymbols = this.symbols;
         this.symbols = new SymbolTable(outerSymbols);
 
-        // Declare parameters in local scope
-        for (const param of node.params) {
-            this.symbols.declare(param.name, param.type);
-            this.symbols.assign(param.name);
-        }
+        try {
+            this.checkTypeExists(node.returnType);
+            this.declareParams(node.params);
 
-        for (const stmt of node.body) {
-            this.checkStatement(stmt);
+            for (const stmt of node.body) {
+                this.checkStatement(stmt);
+            }
+        } finally {
+            // Restore outer scope
+            this.symbols = outerSymbols;
         }
-
-        // Restore outer scope
-        this.symbols = outerSymbols;
     }
 
     // ------------------------------------------
     // CALL
     // ------------------------------------------
 
-    checkCall(node) {
-        // Check arguments
-        for (const arg of node.args) {
-            this.checkExpression(arg);
+    // CALL statements and function calls in expressions. A CALL statement
+    // runs a PROCEDURE; only a FUNCTION gives a value.
+    checkCall(node, inExpression = false) {
+        if (BUILTINS.has(node.name)) {
+            return this.checkBuiltinCall(node);
         }
 
-        // Check built-in functions
-        if (this.builtins.has(node.name)) {
-            const builtin = this.builtins.get(node.name);
-            if (node.args.length !== builtin.argCount) {
-                throw new SemanticError(
-                    `Built-in '${node.name}' expects ${builtin.argCount} argument(s), got ${node.args.length}.`
-                );
-            }
-            return;
+        // Inside a method, another method of the object called by name
+        if (this.isOwnMethod(node.name)) {
+            node.method = true;
+            return this.checkMethodUse(this.currentClass, node.name, node.args, false);
         }
 
+        const routine = this.procedures.get(node.name) || this.functions.get(node.name);
+
+        // Check arguments, against the parameters when the routine is known
+        node.args.forEach((arg, i) => {
+            const param = routine ? routine.params[i] : null;
+            if (param) {
+                this.checkArgument(node.name, param, arg);
+            } else {
+                this.checkExpression(arg);
+            }
+        });
+
         // Validate against registered user-defined signature
         const proc = this.procedures.get(node.name);
         const func = this.functions.get(node.name);
@@ -632,10 +1566,117 @@ class SemanticAnalyzer {
         if (signature) {
             if (node.args.length !== signature.params.length) {
                 throw new SemanticError(
-                    `'${node.name}' expects ${signature.params.length} arguments, got ${node.args.length}.`
+                    `'${node.name}' expects ${signature.params.length} arguments, got ${node.args.length}.`,
+                    DiagnosticCode.ARGUMENT_COUNT
                 );
             }
         }
+
+        if (!inExpression && func && !proc) {
+            throw new SemanticError(`'${node.name}' is a FUNCTION, so it cannot be CALLed.`, DiagnosticCode.TYPE_MISMATCH,
+                "Use its value in an expression, e.g. OUTPUT or an assignment.");
+        }
+    }
+
+    isOwnMethod(name) {
+        return this.currentClass !== null && name !== "NEW" && this.findMethod(this.currentClass, name) !== null;
+    }
+
+    // Argument count, then each argument against its parameter
+    checkArguments(routineName, params, args) {
+        if (args.length !== params.length) {
+            throw new SemanticError(
+                `'${routineName}' expects ${params.length} arguments, got ${args.length}.`,
+                DiagnosticCode.ARGUMENT_COUNT
+            );
+        }
+        args.forEach((arg, i) => this.checkArgument(routineName, params[i], arg));
+    }
+
+    // Built-in functions: exact argument count and types (see BUILTINS).
+    // Returns the result type.
+    checkBuiltinCall(node) {
+        const builtin = BUILTINS.get(node.name);
+        const argTypes = node.args.map(arg => this.checkExpression(arg));
+
+        if (node.args.length !== builtin.params.length) {
+            throw new SemanticError(
+                `Built-in '${node.name}' expects ${builtin.params.length} argument(s), got ${node.args.length}.`,
+                DiagnosticCode.ARGUMENT_COUNT
+            );
+        }
+
+        builtin.params.forEach((paramType, i) => {
+            // A STRING may stand for a CHAR; the runtime checks its length
+            if (paramType === "CHAR" && argTypes[i] === "STRING") return;
+            try {
+                this.checkTypeCompatible(paramType, argTypes[i], node.name);
+            } catch (err) {
+                if (!(err instanceof SemanticError)) throw err;
+                throw new SemanticError(
+                    `Argument ${i + 1} of '${node.name}' expects ${paramType}, got ${argTypes[i]}.`,
+                    DiagnosticCode.TYPE_MISMATCH,
+                    err.hint
+                ).locate(node.args[i]);
+            }
+        });
+
+        return builtinResultType(node.name, argTypes);
+    }
+
+    // An argument must suit its parameter: arrays only go to ARRAY OF
+    // parameters with the same element type, records to parameters of the
+    // same TYPE. A BYREF argument must be a variable; it may be unassigned
+    // before the call and counts as assigned afterwards.
+    checkArgument(routineName, param, arg) {
+        const where = `parameter '${param.name}' of '${routineName}'`;
+        const access = this.isAccess(arg) ? this.resolveAccess(arg) : null;
+
+        if (param.mode === "BYREF" && !access) {
+            throw new SemanticError(`BYREF ${where} needs a variable, not an expression.`, DiagnosticCode.TYPE_MISMATCH).locate(arg);
+        }
+
+        if (access && access.dimensions) {
+            if (!param.isArray) {
+                throw new SemanticError(`Cannot pass array '${access.text}' to ${param.type} ${where}.`, DiagnosticCode.TYPE_MISMATCH).locate(arg);
+            }
+            if (access.type !== param.type) {
+                throw new SemanticError(
+                    `Parameter '${param.name}' of '${routineName}' expects ARRAY OF ${param.type}, got ARRAY OF ${access.type}.`,
+                    DiagnosticCode.TYPE_MISMATCH
+                ).locate(arg);
+            }
+            // Arrays are filled with defaults when declared, so passing a
+            // whole array never reads an unassigned value
+            if (param.mode === "BYREF") this.symbols.assign(access.root);
+            return;
+        }
+
+        if (param.isArray) {
+            throw new SemanticError(
+                `Parameter '${param.name}' of '${routineName}' expects an ARRAY OF ${param.type}.`,
+                DiagnosticCode.NOT_AN_ARRAY
+            ).locate(arg);
+        }
+
+        let argType;
+        if (param.mode === "BYREF") {
+            // Possibly an output parameter: the routine assigns it
+            this.symbols.assign(access.root);
+            argType = access.type;
+        } else {
+            argType = this.checkExpression(arg);
+        }
+
+        try {
+            this.checkTypeCompatible(param.type, argType, param.name);
+        } catch (err) {
+            if (!(err instanceof SemanticError)) throw err;
+            throw new SemanticError(
+                `Parameter '${param.name}' of '${routineName}' expects ${param.type}, got ${argType}.`,
+                DiagnosticCode.TYPE_MISMATCH
+            ).locate(arg);
+        }
     }
 
     // ------------------------------------------
@@ -643,6 +1684,15 @@ class SemanticAnalyzer {
     // ------------------------------------------
 
     checkExpression(node) {
+        try {
+            return this.checkExpressionKind(node);
+        } catch (err) {
+            if (err instanceof SemanticError) err.locate(node);
+            throw err;
+        }
+    }
+
+    checkExpressionKind(node) {
         switch (node.type) {
 
             case "IntegerLiteral":
@@ -654,17 +1704,42 @@ class SemanticAnalyzer {
             case "StringLiteral":
                 return "STRING";
 
+            case "CharLiteral":
+                return "CHAR";
+
             case "BooleanLiteral":
                 return "BOOLEAN";
 
+            case "DateLiteral":
+                return "DATE";
+
+            case "NullLiteral":
+                return "NULL";
+
+            case "SetLiteral":
+                return this.checkSetLiteral(node);
+
+            case "AddressOf":
+                return this.checkAddressOf(node);
+
             case "Identifier":
+                // Values of enumerated types are constants of that type
+                if (this.enumValues.has(node.name)) {
+                    return this.enumValues.get(node.name);
+                }
+                this.useAttribute(node);
                 return this.symbols.require(node.name);
 
-            case "ArrayAccess":
-                return this.checkArrayAccess(node);
+            case "New":
+                return this.checkNew(node);
+
+            case "MethodCall":
+                return this.checkMethodCall(node, true);
 
+            case "ArrayAccess":
             case "FieldAccess":
-                return this.checkFieldAccess(node);
+            case "Deref":
+                return this.checkAccessRead(node);
 
             case "Binary":
                 return this.checkBinary(node);
@@ -674,11 +1749,14 @@ class SemanticAnalyzer {
 
             case "Call":
                 // Function call in expression context — check args and validate
-                this.checkCall(node);
-                // Check built-in functions first
-                if (this.builtins.has(node.name)) {
-                    return this.builtins.get(node.name).returnType;
+                if (BUILTINS.has(node.name)) {
+                    return this.checkBuiltinCall(node);
                 }
+                if (this.isOwnMethod(node.name)) {
+                    node.method = true;
+                    return this.checkMethodUse(this.currentClass, node.name, node.args, true);
+                }
+                this.checkCall(node, true);
                 // Look up return type from user-defined functions
                 if (this.functions.has(node.name)) {
                     return this.functions.get(node.name).returnType;
@@ -692,64 +1770,164 @@ class SemanticAnalyzer {
     }
 
     // ------------------------------------------
-    // FIELD ACCESS (record.field)
+    // VARIABLE ACCESS (names, indexing and fields in any combination)
     // ------------------------------------------
-
-    checkFieldAccess(node) {
-        const varInfo = this.symbols.get(node.name);
-        if (!varInfo) {
-            throw new SemanticError(`Variable '${node.name}' not declared.`);
-        }
-        if (!varInfo.assigned) {
-            throw new SemanticError(`Variable '${node.name}' used before assignment.`);
-        }
-        const typeDef = this.userTypes.get(varInfo.type);
-        if (!typeDef) {
-            throw new SemanticError(`Variable '${node.name}' is not a record type.`);
-        }
-        const fieldDef = typeDef.fields.find(f => f.name === node.field);
-        if (!fieldDef) {
-            throw new SemanticError(`Field '${node.field}' does not exist in type '${varInfo.type}'.`);
-        }
-        return fieldDef.type;
+    // An access chain such as Class.Pupils[3].Age resolves to a descriptor:
+    //   type        type of the element / field / variable reached
+    //   dimensions  the array dimensions when it is a whole array, else null
+    //   root        name of the variable the chain starts from
+    //   entry       symbol table entry of that variable
+    //   text        the chain as written, for messages
+
+    isAccess(node) {
+        // An enumerated value is a constant, not a variable
+        if (node.type === "Identifier" && this.enumValues.has(node.name)) return false;
+        return ["Identifier", "ArrayAccess", "FieldAccess", "Deref"].includes(node.type);
     }
 
-    // ------------------------------------------
-    // ARRAY ACCESS
-    // ------------------------------------------
+    resolveAccess(node) {
+        switch (node.type) {
+            case "Identifier": {
+                const entry = this.symbols.get(node.name);
+                if (!entry) {
+                    throw new SemanticError(`Variable '${node.name}' not declared.`, DiagnosticCode.UNDECLARED).locate(node);
+                }
+                SymbolTable.checkUsable(node.name, entry);
+                this.useAttribute(node);
+                return {
+                    type: entry.type,
+                    dimensions: entry.isArray ? entry.dimensions : null,
+                    root: node.name,
+                    entry,
+                    text: node.name
+                };
+            }
 
-    checkArrayAccess(node) {
-        const varInfo = this.symbols.get(node.name);
+            case "ArrayAccess": {
+                const base = this.resolveAccess(node.base);
+                if (!base.dimensions) {
+                    throw new SemanticError(`Variable '${base.text}' is not an array.`, DiagnosticCode.NOT_AN_ARRAY).locate(node);
+                }
 
-        if (!varInfo) {
-            throw new SemanticError(`Variable '${node.name}' not declared.`);
-        }
+                // Validate number of indices matches dimensions (unknown for ARRAY OF parameters)
+                if (base.dimensions.length > 0 && node.indices.length !== base.dimensions.length) {
+                    throw new SemanticError(
+                        `Array '${base.text}' requires ${base.dimensions.length} indices, got ${node.indices.length}.`,
+                        DiagnosticCode.INDEX_COUNT
+                    ).locate(node);
+                }
+
+                // Check each index is an INTEGER
+                for (const idx of node.indices) {
+                    const idxType = this.checkExpression(idx);
+                    if (idxType !== "INTEGER") {
+                        throw new SemanticError(
+                            `Array index must be INTEGER, got ${idxType}.`,
+                            DiagnosticCode.TYPE_MISMATCH,
+                            idxType === "REAL" ? "Use INT() to convert a REAL to an INTEGER." : null
+                        ).locate(idx);
+                    }
+                }
+
+                const indexText = node.indices.map(idx => idx.name ?? idx.value ?? "...").join(", ");
+                return { ...base, dimensions: null, text: `${base.text}[${indexText}]` };
+            }
 
-        if (!varInfo.isArray) {
-            throw new SemanticError(`Variable '${node.name}' is not an array.`);
+            case "FieldAccess": {
+                const base = this.resolveAccess(node.base);
+                if (!base.dimensions && this.classes.has(base.type)) {
+                    return this.resolveAttribute(node, base);
+                }
+                const typeDef = base.dimensions ? null : this.userTypes.get(base.type);
+                if (!typeDef) {
+                    throw new SemanticError(`Variable '${base.text}' is not a record type.`, DiagnosticCode.NOT_A_RECORD).locate(node);
+                }
+                const fieldDef = typeDef.fields.find(f => f.name === node.field);
+                if (!fieldDef) {
+                    throw new SemanticError(`Field '${node.field}' does not exist in type '${base.type}'.`, DiagnosticCode.UNKNOWN_FIELD).locate(node);
+                }
+                return {
+                    ...base,
+                    type: fieldDef.type,
+                    dimensions: fieldDef.dimensions || null,
+                    text: `${base.text}.${node.field}`
+                };
+            }
+
+            case "Deref": {
+                const base = this.resolveAccess(node.base);
+                const target = base.dimensions ? null : this.pointerTarget(base.type);
+                if (!target) {
+                    throw new SemanticError(
+                        `'${base.text}' is not a pointer, so '^' cannot follow it.`,
+                        DiagnosticCode.NOT_A_POINTER,
+                        "For a power with a negative exponent, write X ^ (-1)."
+                    ).locate(node);
+                }
+                // Following the pointer reads it
+                if (!base.entry.assigned) {
+                    throw new SemanticError(`Pointer '${base.root}' used before assignment.`, DiagnosticCode.UNASSIGNED).locate(node);
+                }
+                return {
+                    ...base,
+                    type: target,
+                    dimensions: null,
+                    text: `${base.text}^`
+                };
+            }
+
+            default:
+                throw new SemanticError(`Expected a variable, got ${node.type}.`);
         }
+    }
 
-        if (!varInfo.assigned) {
-            throw new SemanticError(`Array '${node.name}' used before assignment.`);
+    // @X: a pointer to a variable, element or field. What it points to
+    // may be assigned through the pointer, so it counts as assigned.
+    checkAddressOf(node) {
+        if (!this.isAccess(node.target)) {
+            throw new SemanticError(`'@' needs a variable, array element or field.`, DiagnosticCode.INVALID_OPERAND);
         }
 
-        // Validate number of indices matches dimensions
-        if (node.indices.length !== varInfo.dimensions.length) {
+        const target = this.resolveAccess(node.target);
+        if (target.dimensions) {
             throw new SemanticError(
-                `Array '${node.name}' requires ${varInfo.dimensions.length} indices, got ${node.indices.length}.`
+                `'@' cannot point to the whole array '${target.text}'.`,
+                DiagnosticCode.INVALID_OPERAND,
+                "Point to one element instead, e.g. @Scores[1]."
             );
         }
+        if (target.entry.isConstant) {
+            throw new SemanticError(`Cannot take the address of CONSTANT '${target.root}'.`, DiagnosticCode.INVALID_OPERAND);
+        }
 
-        // Check each index is numeric
-        for (const idx of node.indices) {
-            const idxType = this.checkExpression(idx);
-            if (idxType !== "INTEGER" && idxType !== "REAL") {
-                throw new SemanticError(`Array index must be numeric.`);
-            }
+        this.symbols.assign(target.root);
+        return `^${target.type}`;
+    }
+
+    // Reading an element or field: the variable must have been assigned
+    checkAccessRead(node) {
+        const access = this.resolveAccess(node);
+        if (!access.entry.assigned) {
+            const kind = access.entry.isArray ? "Array" : "Variable";
+            throw new SemanticError(`${kind} '${access.root}' used before assignment.`, DiagnosticCode.UNASSIGNED);
         }
+        return access.type;
+    }
+
+    // Target of an assignment, INPUT or READFILE
+    resolveTarget(node) {
+        const target = this.resolveAccess(node);
+        if (target.entry.isConstant) {
+            throw new SemanticError(`Cannot reassign CONSTANT '${target.root}'.`, DiagnosticCode.CONSTANT_REASSIGNED);
+        }
+        return target;
+    }
 
-        // Return the base type of the array
-        return varInfo.type;
+    // The descriptor of an expression naming a whole array, otherwise null
+    wholeArray(expr) {
+        if (!this.isAccess(expr)) return null;
+        const access = this.resolveAccess(expr);
+        return access.dimensions ? access : null;
     }
 
     // ------------------------------------------
@@ -780,7 +1958,11 @@ class SemanticAnalyzer {
                 return "INTEGER";
             }
 
-            throw new SemanticError(`Arithmetic operator '${op}' requires numeric operands.`);
+            throw new SemanticError(
+                `Arithmetic operator '${op}' requires numeric operands.`,
+                DiagnosticCode.INVALID_OPERAND,
+                left === "CHAR" || right === "CHAR" ? "Use ASC() for the code of a CHAR and CHR() to turn a code back into a CHAR." : null
+            );
         }
 
         // String concatenation: &
@@ -793,7 +1975,7 @@ class SemanticAnalyzer {
             if (stringTypes.includes(left) || stringTypes.includes(right)) {
                 return "STRING";
             }
-            throw new SemanticError(`Concatenation operator '&' requires at least one STRING operand.`);
+            throw new SemanticError(`Concatenation operator '&' requires at least one STRING operand.`, DiagnosticCode.INVALID_OPERAND);
         }
 
         // Comparison: = <> < > <= >=
@@ -819,16 +2001,65 @@ class SemanticAnalyzer {
                 return "BOOLEAN";
             }
 
-            throw new SemanticError(`Incompatible types for comparison '${op}'.`);
+            // Dates compare by when they fall: 01/01/2024 < 02/01/2024
+            if (left === "DATE" && right === "DATE") {
+                return "BOOLEAN";
+            }
+
+            // Values of the same enumerated type compare by their order
+            if (left === right && this.enumTypes.has(left)) {
+                return "BOOLEAN";
+            }
+
+            // Objects are equal when they are the same object
+            if ((op === "EQ" || op === "NE") && this.classes.has(left) &&
+                (this.isSubclass(left, right) || this.isSubclass(right, left))) {
+                return "BOOLEAN";
+            }
+
+            // Pointers are equal when they point to the same place
+            if ((op === "EQ" || op === "NE") && this.pointersCompatible(left, right)) {
+                return "BOOLEAN";
+            }
+
+            // Sets are equal when they have the same elements
+            if ((op === "EQ" || op === "NE") && this.setsCompatible(left, right)) {
+                return "BOOLEAN";
+            }
+
+            throw new SemanticError(`Incompatible types for comparison '${op}'.`, DiagnosticCode.INVALID_OPERAND);
+        }
+
+        // Set membership: 'A' IN Vowels
+        if (op === "IN") {
+            const base = this.setBase(right);
+            if (!base) {
+                throw new SemanticError(`Right operand of 'IN' must be a set (got ${right}).`, DiagnosticCode.INVALID_OPERAND);
+            }
+            if (base !== "ANY") {
+                this.checkSetElement(base, node.left, left);
+            }
+            return "BOOLEAN";
+        }
+
+        // Union, intersection and difference of sets of the same type
+        if (op === "UNION" || op === "INTERSECT" || op === "DIFFERENCE") {
+            if (!this.setBase(left) || !this.setBase(right)) {
+                throw new SemanticError(`'${op}' needs two sets (got ${left} and ${right}).`, DiagnosticCode.INVALID_OPERAND);
+            }
+            if (!this.setsCompatible(left, right)) {
+                throw new SemanticError(`Cannot combine ${left} and ${right}: their elements are of different types.`, DiagnosticCode.INVALID_OPERAND);
+            }
+            return this.setBase(left) === "ANY" ? right : left;
         }
 
         // Boolean operators: AND, OR
         if (op === "AND" || op === "OR") {
             if (left !== "BOOLEAN") {
-                throw new SemanticError(`Left operand of '${op}' must be BOOLEAN (got ${left}).`);
+                throw new SemanticError(`Left operand of '${op}' must be BOOLEAN (got ${left}).`, DiagnosticCode.INVALID_OPERAND);
             }
             if (right !== "BOOLEAN") {
-                throw new SemanticError(`Right operand of '${op}' must be BOOLEAN (got ${right}).`);
+                throw new SemanticError(`Right operand of '${op}' must be BOOLEAN (got ${right}).`, DiagnosticCode.INVALID_OPERAND);
             }
             return "BOOLEAN";
         }
@@ -845,7 +2076,7 @@ class SemanticAnalyzer {
 
         if (node.op === "NOT") {
             if (operandType !== "BOOLEAN") {
-                throw new SemanticError(`NOT operator requires a BOOLEAN operand (got ${operandType}).`);
+                throw new SemanticError(`NOT operator requires a BOOLEAN operand (got ${operandType}).`, DiagnosticCode.INVALID_OPERAND);
             }
             return "BOOLEAN";
         }
@@ -854,7 +2085,7 @@ class SemanticAnalyzer {
             if (operandType === "INTEGER" || operandType === "REAL") {
                 return operandType;
             }
-            throw new SemanticError(`Negation requires a numeric operand.`);
+            throw new SemanticError(`Negation requires a numeric operand.`, DiagnosticCode.INVALID_OPERAND);
         }
 
         throw new SemanticError(`Unknown unary operator: ${node.op}`);
@@ -7,6 +7,8 @@ const TokenType = {
     INTEGER_LITERAL: "INTEGER_LITERAL",
     REAL_LITERAL: "REAL_LITERAL",
     STRING_LITERAL: "STRING_LITERAL",
+    CHAR_LITERAL: "CHAR_LITERAL",     // 'A'
+    DATE_LITERAL: "DATE_LITERAL",     // 25/12/2024
 
     // Keywords
     DECLARE: "DECLARE",
@@ -62,14 +64,34 @@ const TokenType = {
     TYPE: "TYPE",
     ENDTYPE: "ENDTYPE",
 
+    // Set keywords (contextual: identifiers tagged by the lexer)
+    SET: "SET",
+    DEFINE: "DEFINE",
+    IN: "IN",
+    UNION: "UNION",
+    INTERSECT: "INTERSECT",
+    DIFFERENCE: "DIFFERENCE",
+
+    // Class keywords (contextual: identifiers tagged by the lexer; NEW and
+    // SUPER are recognised by the parser)
+    CLASS: "CLASS",
+    ENDCLASS: "ENDCLASS",
+    INHERITS: "INHERITS",
+    PUBLIC: "PUBLIC",
+    PRIVATE: "PRIVATE",
+
     // File handling keywords
     OPENFILE: "OPENFILE",
     READFILE: "READFILE",
     WRITEFILE: "WRITEFILE",
     CLOSEFILE: "CLOSEFILE",
+    SEEK: "SEEK",           // contextual
+    GETRECORD: "GETRECORD", // contextual
+    PUTRECORD: "PUTRECORD", // contextual
     READ: "READ",
     WRITE: "WRITE",
     APPEND: "APPEND",
+    RANDOM: "RANDOM",       // contextual
 
     // Operators
     ASSIGN: "ASSIGN", // <-
@@ -86,6 +108,7 @@ const TokenType = {
     DIVIDE: "DIVIDE",
     POWER: "POWER",
     AMPERSAND: "AMPERSAND",  // & for string concatenation
+    AT: "AT",                // @ address of a variable (^ after a pointer is POWER)
 
     // Punctuation
     LPAREN: "LPAREN",
@@ -1,7 +1,7 @@
 // ============================================================
 // HTML INTEGRATION / UI
 // ============================================================
-// Depends on: compiler.js, runtime.js, editor.js, examples.js
+// Depends on: diagnostics.js, compiler.js, runtime.js, editor.js, examples.js
 //
 // This expects the HTML to contain:
 //   - #editor-container       (div for the syntax-highlighted editor)
@@ -94,6 +94,36 @@ function PSC_writeTerminal(text, className = 'terminal-output-line') {
     output.scrollTop = output.scrollHeight;
 }
 
+// Render one Diagnostic (with its stack trace and hint) in the console
+function PSC_writeDiagnostic(diagnostic) {
+    PSC_writeTerminal(diagnostic.toString(), `terminal-${diagnostic.severity}`);
+    for (const line of diagnostic.traceLines()) {
+        PSC_writeTerminal(line, 'terminal-trace');
+    }
+    if (diagnostic.hint) {
+        PSC_writeTerminal(`Hint: ${diagnostic.hint}`, 'terminal-hint');
+    }
+}
+
+// Render a list of diagnostics and highlight the first error in the editor.
+// Returns true if any of them is an error.
+function PSC_showDiagnostics(diagnostics) {
+    for (const d of diagnostics) {
+        PSC_writeDiagnostic(d);
+    }
+
+    const counts = countDiagnostics(diagnostics);
+    if (counts.error > 0 || counts.warning > 0) {
+        PSC_writeTerminal(`${counts.error} error(s), ${counts.warning} warning(s)`, 'terminal-output-line');
+    }
+
+    const firstError = diagnostics.find(d => d.isError());
+    if (firstError && firstError.line && pscEditor) {
+        pscEditor.setErrorLine(firstError.line);
+    }
+    return counts.error > 0;
+}
+
 function PSC_waitForInput(prompt, callback) {
     terminalState.waiting = true;
     terminalState.waitingFor = prompt;
@@ -228,9 +258,35 @@ function PSC_handleFileOpen(input) {
 // VIRTUAL FILESYSTEM (for pseudocode OPENFILE/READFILE/WRITEFILE)
 // ------------------------------------------------------------
 
-// Persistent virtual files: filename -> { lines: [], userCreated: bool }
+// Persistent virtual files: filename -> { lines: [], userCreated: bool }.
+// Files a program used FOR RANDOM also keep their records and a text
+// table of them (see Runtime.recordTable).
 const PSC_virtualFiles = {};
 
+function PSC_escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// A RANDOM file's records: one row per address, one column per field
+function PSC_renderRecordTable(table) {
+    const head = ['Address', ...table.fields].map(h => `<th>${PSC_escapeHtml(h)}</th>`).join('');
+    const rows = table.rows.map(row =>
+        `<tr><td>${row.address}</td>${row.values.map(v => `<td>${PSC_escapeHtml(v)}</td>`).join('')}</tr>`
+    ).join('');
+    return `
+            <div class="file-entry-records">
+                <table>
+                    <caption>${PSC_escapeHtml(table.type)} records</caption>
+                    <thead><tr>${head}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+}
+
+function PSC_hasRecords(file) {
+    return Boolean(file.table && file.table.rows.length > 0);
+}
+
 function PSC_renderFilesList() {
     const list = $id('#files-list');
     const empty = $id('#files-empty');
@@ -256,6 +312,14 @@ function PSC_renderFilesList() {
             ? '<span class="file-entry-badge written">written by program</span>'
             : '<span class="file-entry-badge user">user file</span>';
 
+        const content = PSC_hasRecords(file)
+            ? PSC_renderRecordTable(file.table)
+            : `
+            <textarea class="file-entry-content" rows="4"
+                ${isWritten ? 'readonly' : ''}
+                onchange="PSC_virtualFileEdited('${name}', this.value)"
+            >${file.lines.join('\n')}</textarea>`;
+
         entry.innerHTML = `
             <div class="file-entry-header">
                 <span class="file-entry-name">${name}</span>
@@ -264,11 +328,7 @@ function PSC_renderFilesList() {
                     <button class="file-btn-download" onclick="PSC_downloadVirtualFile('${name}')">Download</button>
                     <button class="file-btn-delete" onclick="PSC_deleteVirtualFile('${name}')">Delete</button>
                 </div>
-            </div>
-            <textarea class="file-entry-content" rows="4"
-                ${isWritten ? 'readonly' : ''}
-                onchange="PSC_virtualFileEdited('${name}', this.value)"
-            >${file.lines.join('\n')}</textarea>`;
+            </div>${content}`;
 
         list.appendChild(entry);
     }
@@ -298,7 +358,11 @@ function PSC_virtualFileEdited(name, value) {
 function PSC_downloadVirtualFile(name) {
     const file = PSC_virtualFiles[name];
     if (!file) return;
-    const content = file.lines.join('\n');
+    // Records download as tab-separated text, one line per address
+    const content = PSC_hasRecords(file)
+        ? [['Address', ...file.table.fields], ...file.table.rows.map(r => [r.address, ...r.values])]
+            .map(cells => cells.join('\t')).join('\n')
+        : file.lines.join('\n');
     const blob = new Blob([content], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -317,6 +381,13 @@ function PSC_injectFilesIntoRuntime(runtime) {
             mode: null,
             open: false
         };
+        if (file.records) {
+            const records = {};
+            for (const [address, record] of Object.entries(file.records)) {
+                records[address] = runtime.copyValue(record);
+            }
+            Object.assign(runtime.files[name], { records, recordType: file.recordType });
+        }
     }
 }
 
@@ -330,6 +401,13 @@ function PSC_syncFilesFromRuntime(runtime) {
                 lines: [...rFile.lines],
                 userCreated: false
             };
+            if (rFile.records) {
+                Object.assign(PSC_virtualFiles[name], {
+                    records: rFile.records,
+                    recordType: rFile.recordType,
+                    table: runtime.recordTable(rFile)
+                });
+            }
         }
     }
     PSC_renderFilesList();
@@ -366,38 +444,53 @@ async function PSC_runProgram() {
 
     try {
         // Compile to IR
-        const compiler = new Compiler({ optimize: true, debug: false });
-        const { ir } = compiler.compile(source);
+        const strictEvaluation = $id("#opt-strict-eval").checked;
+        const strictInput = $id("#opt-strict-input").checked;
+        const maxCallDepth = parseInt($id("#opt-max-depth").value, 10) || 1000;
+        const compiler = new Compiler({ optimize: true, debug: false, strictEvaluation });
+        const { ir, spans, diagnostics } = compiler.compile(source);
+
+        // Report errors and warnings; only run if there are no errors
+        if (PSC_showDiagnostics(diagnostics)) {
+            return;
+        }
 
         // Show IR in IR tab
         $id("#ir-code").textContent = ir.join('\n');
 
         // Create runtime with terminal support
-        const runtime = new Runtime(ir);
+        const runtime = new Runtime(ir, spans);
         activeRuntime = runtime;
 
         // Inject any user-created virtual files so the program can read them
         PSC_injectFilesIntoRuntime(runtime);
 
         runtime.terminalMode = true;
+        runtime.strictInput = strictInput;
+        runtime.maxCallDepth = maxCallDepth;
         runtime.writeOutput = (text) => {
             PSC_writeTerminal(text, 'terminal-output-line');
         };
-        runtime.readInput = (varName) => {
+        runtime.reportInvalidInput = (err) => {
+            PSC_writeTerminal(`${err.detail}. Please try again.`, 'terminal-warning');
+            if (err.hint) {
+                PSC_writeTerminal(`Hint: ${err.hint}`, 'terminal-hint');
+            }
+        };
+        runtime.readInput = (varName, type) => {
             return new Promise((resolve, reject) => {
                 // If already halted, reject immediately
                 if (runtime.halted) {
                     reject(new Error("Program stopped by user"));
                     return;
                 }
-                PSC_waitForInput(`Enter value for ${varName}:`, (value) => {
+                const what = type ? `${type} value` : "value";
+                PSC_waitForInput(`Enter ${what} for ${varName}:`, (value) => {
                     if (runtime.halted) {
                         reject(new Error("Program stopped by user"));
                         return;
                     }
-                    const parsed = parseFloat(value);
-                    const result = isNaN(parsed) ? value : parsed;
-                    resolve(result);
+                    resolve(value); // converted to the variable's type by the runtime
                 });
             });
         };
@@ -406,6 +499,9 @@ async function PSC_runProgram() {
         await runtime.runAsync();
 
         PSC_writeTerminal('', 'terminal-output-line');
+        for (const warning of runtime.warnings) {
+            PSC_writeDiagnostic(warning);
+        }
         PSC_writeTerminal('--- Program finished ---', 'terminal-output-line');
 
         // Pull written files back into the virtual file store
@@ -413,7 +509,11 @@ async function PSC_runProgram() {
 
     } catch (err) {
         PSC_writeTerminal('', 'terminal-error');
-        PSC_writeTerminal(err.message, 'terminal-error');
+        if (err instanceof DiagnosticError) {
+            PSC_writeDiagnostic(err.toDiagnostic());
+        } else {
+            PSC_writeTerminal(err.message, 'terminal-error');
+        }
         console.error(err);
 
         // Still sync any files written before the error
@@ -421,12 +521,9 @@ async function PSC_runProgram() {
             PSC_syncFilesFromRuntime(activeRuntime);
         }
 
-        // Try to highlight the error line in the editor
-        if (pscEditor) {
-            const lineMatch = err.message.match(/line (\d+)/i);
-            if (lineMatch) {
-                pscEditor.setErrorLine(parseInt(lineMatch[1]));
-            }
+        // Highlight the error line in the editor (the innermost call's line)
+        if (pscEditor && err.line) {
+            pscEditor.setErrorLine(err.line);
         }
     } finally {
         activeRuntime = null;